@@ -1,65 +1,208 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import MatrixInput from './components/MatrixInput';
 import Visualizer from './components/Visualizer';
-import { solveGaussElimination, solveGaussEliminationWithPivoting, solveGaussJordan, solveJacobi, solveGaussSeidel } from './utils/solverLogic';
-import { compareAllMethods, getRanking } from './utils/compareAlgorithms';
+import OmegaSweepChart from './components/OmegaSweepChart';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import IterationSettings from './components/IterationSettings';
+import SystemFileControls from './components/SystemFileControls';
+import EquationInput from './components/EquationInput';
+import PresetGallery from './components/PresetGallery';
+import RandomSystemGenerator from './components/RandomSystemGenerator';
+import BenchmarkPanel from './components/BenchmarkPanel';
+import OperationBreakdown from './components/OperationBreakdown';
+import { COFACTOR_MAX_SIZE, checkSPD, describePrediction, DEFAULT_ITERATION_SETTINGS, DEFAULT_OMEGA_RANGE, STATUS_LABELS, TERMINATION_LABELS, PIVOT_TOLERANCE } from './utils/solverLogic';
+import { ROUNDING_MODES, parseEntry, formatValue } from './utils/arithmetic';
+import { defaultVariables } from './utils/equationParser';
+import { getRanking } from './utils/compareAlgorithms';
+import { createSolverClient } from './utils/solverClient';
 import { Play, Pause, SkipBack, SkipForward, RotateCcw } from 'lucide-react';
 
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+const subscript = (k) => String(k).split('').map(d => SUBSCRIPTS[d]).join('');
+
+// A vector drawn vertically in brackets, used for the parametric solution form
+const ColumnVector = ({ values }) => (
+  <div className="inline-flex flex-col border-l-2 border-r-2 border-gray-600 rounded px-2 font-mono text-sm">
+    {values.map((v, i) => <span key={i}>{formatValue(v, 4)}</span>)}
+  </div>
+);
+
+// Direct methods that can run in exact rational arithmetic (no square roots involved)
+const EXACT_METHODS = ['gauss', 'pivoting', 'gauss-jordan', 'rref', 'lu-doolittle', 'lu-crout', 'ldlt', 'inverse', 'determinant'];
+// Methods that can run in simulated k-digit precision (every operation goes through the arithmetic context)
+const PRECISION_METHODS = [...EXACT_METHODS, 'jacobi', 'seidel'];
+const LEAST_SQUARES_METHODS = ['qr-householder', 'qr-givens', 'normal-equations'];
+// Methods that carry several right-hand sides b₁, b₂, ... through one elimination / factorization
+// (inverse and determinant ignore b altogether)
+const MULTI_RHS_METHODS = ['gauss', 'pivoting', 'gauss-jordan', 'lu-doolittle', 'lu-crout', 'cholesky', 'ldlt', 'inverse', 'determinant'];
+
 function App() {
   // --- STATE ---
-  const [size, setSize] = useState(3);
+  const [rows, setRows] = useState(3);
+  const [cols, setCols] = useState(3);
   const [matrix, setMatrix] = useState([[4, -1, 0], [-1, 4, -1], [0, -1, 3]]);
-  const [vector, setVector] = useState([1, 2, 0]); // b vector
+  const [vectors, setVectors] = useState([[1, 2, 0]]); // right-hand sides b₁, b₂, ... (columns)
+  const [variables, setVariables] = useState(null); // unknown names from typed equations (null = x1, x2, ...)
+  const [inputMode, setInputMode] = useState('grid'); // 'grid' | 'equations'
   
   const [method, setMethod] = useState('gauss'); // 'gauss', 'jacobi', etc.
   const [steps, setSteps] = useState(null);
   const [currentStepIndex, setCurrentStepIndex] = useState(0);
   const [isPlaying, setIsPlaying] = useState(false);
   const [speed, setSpeed] = useState(1000); // ms per step
+  const [omega, setOmega] = useState(1.25); // SOR relaxation parameter
+  // ω values of the SOR / SSOR sweep as typed; the sweep rejects a non-positive step or an empty range
+  const [omegaRange, setOmegaRange] = useState(() => Object.fromEntries(Object.entries(DEFAULT_OMEGA_RANGE).map(([key, value]) => [key, String(value)])));
+  const [showCofactors, setShowCofactors] = useState(false); // cofactor expansion trace in determinant mode
+  const [reorder, setReorder] = useState('off'); // 'off' | 'rows' | 'rows-columns' before Jacobi / Gauss-Seidel
+  // Iteration settings as edited (x⁰ entries kept as typed)
+  const [iterationInput, setIterationInput] = useState({ ...DEFAULT_ITERATION_SETTINGS, x0: Array(3).fill('0') });
   const [comparison, setComparison] = useState(null);
   const [showComparison, setShowComparison] = useState(false);
+  const [showBenchmark, setShowBenchmark] = useState(false);
+  const [arithmetic, setArithmetic] = useState('float'); // 'float' | 'exact' | 'round' | 'chop'
+  const [precisionDigits, setPrecisionDigits] = useState(4); // significant digits for 'round' / 'chop'
+  const [pivotTolerance, setPivotTolerance] = useState(PIVOT_TOLERANCE); // |pivot| ≤ tol · max|aᵢⱼ| counts as zero
+  // As typed, so the field can be cleared; pivotTolerance only follows it once it parses to a number ≥ 0
+  const [pivotToleranceInput, setPivotToleranceInput] = useState(String(PIVOT_TOLERANCE));
+  const exactMode = arithmetic === 'exact';
+  const simulatedPrecision = arithmetic in ROUNDING_MODES;
+  const [pending, setPending] = useState(null); // running solve / comparison: { kind, stepCount } or { kind, done, total }
+  const [solveError, setSolveError] = useState(null);
+
+  // Solvers run in a Web Worker so long runs keep the page responsive; one client for the app's lifetime
+  const solverRef = useRef(null);
+  useEffect(() => {
+    const client = createSolverClient();
+    solverRef.current = client;
+    return () => client.dispose();
+  }, []);
+
+  // Entries may be typed as fractions ("3/4"); floating-point solvers use the parsed values
+  const numericMatrix = useMemo(() => matrix.map(row => row.map(parseEntry)), [matrix]);
+  const numericVectors = useMemo(() => vectors.map(v => v.map(parseEntry)), [vectors]);
+  const numericVector = numericVectors[0];
+  const iterationSettings = useMemo(() => ({ ...iterationInput, x0: iterationInput.x0.map(parseEntry) }), [iterationInput]);
+  const hasInvalidEntry = numericMatrix.some(row => row.some(v => !Number.isFinite(v))) || numericVectors.some(v => v.some(val => !Number.isFinite(val))) ||
+    iterationSettings.x0.some(v => !Number.isFinite(v));
+
+  // Automatic SPD detection, used to suggest Cholesky / LDLᵀ
+  const spdInfo = useMemo(() => checkSPD(numericMatrix), [numericMatrix]);
+  const isSquare = rows === cols;
+
+  const isMethodAvailable = (value) => {
+    if (exactMode && !EXACT_METHODS.includes(value)) return false;
+    if (simulatedPrecision && !PRECISION_METHODS.includes(value)) return false;
+    if (vectors.length > 1 && !MULTI_RHS_METHODS.includes(value)) return false;
+    if (value === 'rref') return true;
+    if (LEAST_SQUARES_METHODS.includes(value)) return rows >= cols;
+    return isSquare;
+  };
+
+  const handleArithmeticChange = (value) => {
+    setArithmetic(value);
+    const supported = value === 'exact' ? EXACT_METHODS : value in ROUNDING_MODES ? PRECISION_METHODS : null;
+    if (supported && !supported.includes(method)) setMethod(isSquare ? 'gauss' : 'rref');
+    resetSolver();
+  };
 
   // --- HANDLERS ---
-  const handleSizeChange = (newSize) => {
-    setSize(newSize);
+  const handleSizeChange = (newRows, newCols) => {
+    setRows(newRows);
+    setCols(newCols);
     // Reset matrix/vector with zeros or identity logic
-    const newM = Array(newSize).fill(0).map(() => Array(newSize).fill(0));
-    const newV = Array(newSize).fill(0);
+    const newM = Array(newRows).fill(0).map(() => Array(newCols).fill(0));
+    // Several right-hand sides are only solved for square systems
+    const newV = (newRows === newCols ? vectors : vectors.slice(0, 1)).map(() => Array(newRows).fill(0));
     // Fill diagonal to avoid singular matrix by default
-    for(let i=0; i<newSize; i++) newM[i][i] = 1;
+    for(let i=0; i<Math.min(newRows, newCols); i++) newM[i][i] = 1;
     
     setMatrix(newM);
-    setVector(newV);
+    setVectors(newV);
+    setIterationInput(prev => ({ ...prev, x0: Array(newCols).fill('0') }));
+    setVariables(null);
+    // Only the RREF mode handles rectangular systems
+    if (newRows !== newCols) setMethod('rref');
+    resetSolver();
+  };
+
+  // Adds a zero column b_{k+1} or removes the last one; single right-hand-side methods fall back to Gauss
+  const handleVectorCountChange = (count) => {
+    setVectors(prev => (count > prev.length
+      ? [...prev, Array(rows).fill(0)]
+      : prev.slice(0, count)));
+    if (count > 1 && !MULTI_RHS_METHODS.includes(method)) setMethod('gauss');
     resetSolver();
   };
 
+  // Replaces the whole system (e.g. loaded from a file or a preset); the grid takes the size of the new A
+  // `names` are the unknowns' names when the system was typed as equations
+  const loadSystem = (newMatrix, newVectors, names = null) => {
+    const newRows = newMatrix.length;
+    const newCols = newMatrix[0].length;
+    setRows(newRows);
+    setCols(newCols);
+    setMatrix(newMatrix);
+    setVectors(newVectors);
+    setVariables(names);
+    setIterationInput(prev => ({ ...prev, x0: Array(newCols).fill('0') }));
+    if (newRows !== newCols) setMethod('rref');
+    else if (newVectors.length > 1 && !MULTI_RHS_METHODS.includes(method)) setMethod('gauss');
+    resetSolver();
+    setComparison(null);
+    setShowComparison(false);
+  };
+
+  // Stops a solve or comparison still running in the worker
+  const cancelRun = () => {
+    solverRef.current?.cancel();
+    setPending(null);
+  };
+
   const resetSolver = () => {
+    cancelRun();
+    setSolveError(null);
     setSteps(null);
     setCurrentStepIndex(0);
     setIsPlaying(false);
   };
 
-  const handleSolve = () => {
-    resetSolver();
-    let result;
-    if (method === 'gauss') {
-      result = solveGaussElimination(matrix, vector);
-    } else if (method === 'pivoting') {
-      result = solveGaussEliminationWithPivoting(matrix, vector);
-    } else if (method === 'gauss-jordan') {
-      result = solveGaussJordan(matrix, vector);
-    } else if (method === 'jacobi') {
-      result = solveJacobi(matrix, vector);
-    } else if (method === 'seidel') {
-      result = solveGaussSeidel(matrix, vector);
+  // Runs a job in the worker; resolves to its result, or null when it failed or was cancelled
+  const runJob = async (job) => {
+    setSolveError(null);
+    setPending({ kind: job.kind, stepCount: 0 });
+    try {
+      const { result, cancelled } = await solverRef.current.run(job, (progress) => setPending({ kind: job.kind, ...progress }));
+      // A cancelled run was already cleared by cancelRun, and a newer run may be pending
+      if (cancelled) return null;
+      setPending(null);
+      return result;
+    } catch (err) {
+      setPending(null);
+      setSolveError(err.message);
+      return null;
     }
-    // Add other methods here...
-    
-    setSteps(result);
   };
 
-  const handleCompare = () => {
-    const compResult = compareAllMethods(matrix, vector);
+  const handleSolve = async () => {
+    resetSolver();
+    // The worker builds the arithmetic context from the mode and parses the entries itself
+    const result = await runJob({
+      kind: 'solve',
+      method, matrix, vectors, variables, arithmetic, precisionDigits, pivotTolerance,
+      settings: iterationSettings, omega, showCofactors, reorder,
+      omegaRange: Object.fromEntries(Object.entries(omegaRange).map(([key, value]) => [key, Number(value)]))
+    });
+    if (result) setSteps(result);
+  };
+
+  const handleCompare = async () => {
+    const compResult = await runJob({
+      kind: 'compare',
+      matrix: numericMatrix, vector: numericVector, arithmetic, precisionDigits, pivotTolerance,
+      settings: iterationSettings
+    });
+    if (!compResult) return;
     setComparison(compResult);
     setShowComparison(true);
   };
@@ -98,38 +241,236 @@ function App() {
                 onChange={(e) => { setMethod(e.target.value); resetSolver(); }}
                 className="w-full border p-2 rounded"
               >
-                <option value="gauss">Gauss Elimination (Basic)</option>
-                <option value="pivoting">Gauss with Pivoting</option>
-                <option value="gauss-jordan">Gauss-Jordan Elimination</option>
-                <option value="jacobi">Jacobi Iteration</option>
-                <option value="seidel">Gauss-Seidel</option>
+                <option value="gauss" disabled={!isMethodAvailable('gauss')}>Gauss Elimination (Basic)</option>
+                <option value="pivoting" disabled={!isMethodAvailable('pivoting')}>Gauss with Pivoting</option>
+                <option value="gauss-jordan" disabled={!isMethodAvailable('gauss-jordan')}>Gauss-Jordan Elimination</option>
+                <option value="rref" disabled={!isMethodAvailable('rref')}>Gauss-Jordan to RREF (m×n, general solution)</option>
+                <option value="inverse" disabled={!isMethodAvailable('inverse')}>Matrix Inverse (Gauss-Jordan on [A | I])</option>
+                <option value="determinant" disabled={!isMethodAvailable('determinant')}>Determinant (pivots and row swaps)</option>
+                <option value="qr-householder" disabled={!isMethodAvailable('qr-householder')}>Least Squares: QR (Householder)</option>
+                <option value="qr-givens" disabled={!isMethodAvailable('qr-givens')}>Least Squares: QR (Givens)</option>
+                <option value="normal-equations" disabled={!isMethodAvailable('normal-equations')}>Least Squares: Normal Equations</option>
+                <option value="lu-doolittle" disabled={!isMethodAvailable('lu-doolittle')}>LU Decomposition (Doolittle)</option>
+                <option value="lu-crout" disabled={!isMethodAvailable('lu-crout')}>LU Decomposition (Crout)</option>
+                <option value="cholesky" disabled={!isMethodAvailable('cholesky')}>Cholesky (LLᵀ)</option>
+                <option value="ldlt" disabled={!isMethodAvailable('ldlt')}>LDLᵀ Decomposition</option>
+                <option value="jacobi" disabled={!isMethodAvailable('jacobi')}>Jacobi Iteration</option>
+                <option value="seidel" disabled={!isMethodAvailable('seidel')}>Gauss-Seidel</option>
+                <option value="sor" disabled={!isMethodAvailable('sor')}>SOR (Successive Over-Relaxation)</option>
+                <option value="ssor" disabled={!isMethodAvailable('ssor')}>SSOR (Symmetric SOR)</option>
+                <option value="cg" disabled={!isMethodAvailable('cg')}>Conjugate Gradient</option>
+                <option value="pcg-jacobi" disabled={!isMethodAvailable('pcg-jacobi')}>Preconditioned CG (Jacobi)</option>
+                <option value="pcg-ssor" disabled={!isMethodAvailable('pcg-ssor')}>Preconditioned CG (SSOR)</option>
+                <option value="gmres" disabled={!isMethodAvailable('gmres')}>GMRES(m), restarted</option>
+                <option value="sor-sweep" disabled={!isMethodAvailable('sor-sweep')}>SOR ω Sweep</option>
+                <option value="ssor-sweep" disabled={!isMethodAvailable('ssor-sweep')}>SSOR ω Sweep</option>
               </select>
+              <p className={`mt-2 text-xs ${spdInfo.positiveDefinite ? 'text-green-700' : 'text-gray-500'}`}>
+                {!isSquare
+                  ? `${rows}×${cols} system - use the RREF mode${rows > cols ? ' or a least-squares method' : ''} for rectangular matrices`
+                  : spdInfo.positiveDefinite
+                  ? '✓ Matrix is symmetric positive definite - Cholesky / LDLᵀ recommended'
+                  : !spdInfo.symmetric
+                    ? 'Matrix is not symmetric - Cholesky / LDLᵀ not applicable'
+                    : `Symmetric but not positive definite (leading minor ${spdInfo.failedMinor} fails)`}
+              </p>
+              <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                <label className="font-bold">Arithmetic:</label>
+                <select
+                  value={arithmetic}
+                  onChange={(e) => handleArithmeticChange(e.target.value)}
+                  className="border p-1 rounded"
+                >
+                  <option value="float">Float64 (double)</option>
+                  <option value="exact">Exact fractions</option>
+                  <option value="round">{precisionDigits}-digit rounding</option>
+                  <option value="chop">{precisionDigits}-digit chopping</option>
+                </select>
+                {simulatedPrecision && (
+                  <input
+                    type="number" min="1" max="15" step="1"
+                    value={precisionDigits}
+                    onChange={(e) => { setPrecisionDigits(Math.min(15, Math.max(1, parseInt(e.target.value) || 1))); resetSolver(); }}
+                    className="w-16 border p-1 rounded"
+                    title="Significant digits kept after every operation"
+                  />
+                )}
+              </div>
+              {arithmetic !== 'float' && (
+                <p className="mt-1 text-xs text-gray-500">
+                  {exactMode
+                    ? 'Rational arithmetic: elimination, RREF, LU and LDLᵀ only'
+                    : `Every operation keeps ${precisionDigits} significant digits (elimination, LU, LDLᵀ, Jacobi, Gauss-Seidel)`}
+                </p>
+              )}
+              <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                <label className="font-bold">Pivot tolerance:</label>
+                <input
+                  type="number" min="0" step="any"
+                  value={pivotToleranceInput}
+                  onChange={(e) => {
+                    const value = Number(e.target.value);
+                    setPivotToleranceInput(e.target.value);
+                    if (e.target.value.trim() !== '' && value >= 0) { setPivotTolerance(value); resetSolver(); }
+                  }}
+                  className="w-24 border p-1 rounded"
+                  title="A pivot with |pivot| ≤ tolerance · max|aᵢⱼ| is treated as zero (direct methods and the comparison)"
+                />
+                <span className="text-xs text-gray-500">× max|aᵢⱼ|{exactMode && ' (exact fractions: only 0 is zero)'}</span>
+              </div>
+              {method === 'determinant' && (
+                <label className="mt-3 flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={showCofactors}
+                    disabled={rows > COFACTOR_MAX_SIZE}
+                    onChange={(e) => { setShowCofactors(e.target.checked); resetSolver(); }}
+                  />
+                  Also trace cofactor expansion (n ≤ {COFACTOR_MAX_SIZE})
+                </label>
+              )}
+              {(method === 'jacobi' || method === 'seidel') && (
+                <div className="mt-3 flex items-center gap-2 text-sm">
+                  <label className="font-bold">Reorder:</label>
+                  <select
+                    value={reorder}
+                    onChange={(e) => { setReorder(e.target.value); resetSolver(); }}
+                    className="border p-1 rounded"
+                  >
+                    <option value="off">Off (equations as typed)</option>
+                    <option value="rows">Rows for diagonal dominance</option>
+                    <option value="rows-columns">Rows, then columns</option>
+                  </select>
+                </div>
+              )}
+              {(method === 'sor' || method === 'ssor' || method === 'pcg-ssor') && (
+                <div className="mt-3 flex items-center gap-2">
+                  <label className="text-sm font-bold">ω:</label>
+                  <input
+                    type="number" min="0.05" max="1.95" step="0.05"
+                    value={omega}
+                    onChange={(e) => { setOmega(Number(e.target.value) || 1); resetSolver(); }}
+                    className="w-24 border p-1 rounded"
+                  />
+                  <span className="text-xs text-gray-500">0 &lt; ω &lt; 2 (ω = 1 is Gauss-Seidel)</span>
+                </div>
+              )}
+              {(method === 'sor-sweep' || method === 'ssor-sweep') && (
+                <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+                  {[['omegaMin', 'ω from'], ['omegaMax', 'to'], ['omegaStep', 'step']].map(([key, label]) => (
+                    <React.Fragment key={key}>
+                      <label className="font-bold">{label}</label>
+                      <input
+                        type="number" step="0.05"
+                        value={omegaRange[key]}
+                        onChange={(e) => { setOmegaRange(prev => ({ ...prev, [key]: e.target.value })); resetSolver(); }}
+                        className="w-20 border p-1 rounded"
+                      />
+                    </React.Fragment>
+                  ))}
+                </div>
+              )}
             </div>
 
+            <IterationSettings
+              settings={iterationInput}
+              onChange={(settings) => { setIterationInput(settings); resetSolver(); }}
+            />
+
             <button 
               onClick={handleSolve}
-              className="w-full bg-blue-600 text-white py-3 rounded font-bold hover:bg-blue-700 transition"
+              disabled={hasInvalidEntry || pending !== null}
+              className="w-full bg-blue-600 text-white py-3 rounded font-bold hover:bg-blue-700 transition disabled:opacity-50"
             >
               Solve System
             </button>
 
             <button 
               onClick={handleCompare}
-              className="w-full bg-purple-600 text-white py-3 rounded font-bold hover:bg-purple-700 transition"
+              disabled={rows < cols || hasInvalidEntry || pending !== null}
+              className="w-full bg-purple-600 text-white py-3 rounded font-bold hover:bg-purple-700 transition disabled:opacity-50"
             >
               Compare All Methods
             </button>
+
+            {pending && (
+              <div className="bg-white p-3 rounded shadow text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <span className="text-gray-700">
+                    {pending.total
+                      ? `Comparing… ${pending.done} / ${pending.total} methods`
+                      : pending.kind === 'compare' ? 'Comparing…' : `Solving… ${pending.stepCount} steps so far`}
+                  </span>
+                  <button onClick={cancelRun} className="px-3 py-1 bg-red-600 text-white rounded font-semibold hover:bg-red-700">
+                    Cancel
+                  </button>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2 mt-2 overflow-hidden">
+                  {pending.total
+                    ? <div className="bg-blue-500 h-2 rounded-full transition-all" style={{ width: `${(100 * pending.done) / pending.total}%` }} />
+                    : <div className="bg-blue-500 h-2 w-1/3 rounded-full animate-pulse" />}
+                </div>
+              </div>
+            )}
+            {solveError && (
+              <p className="p-2 bg-red-50 border border-red-300 rounded text-red-700 text-xs">{solveError}</p>
+            )}
+
+            <button 
+              onClick={() => setShowBenchmark(true)}
+              className="w-full bg-white border-2 border-purple-600 text-purple-700 py-2 rounded font-bold hover:bg-purple-50 transition"
+            >
+              Batch Benchmark
+            </button>
+            {hasInvalidEntry && (
+              <p className="text-xs text-red-600">Some entries are not numbers - use decimals or fractions such as 3/4.</p>
+            )}
           </div>
 
           {/* Right Column: Matrix Input (Span 2) */}
           <div className="md:col-span-3 lg:col-span-2">
-            <MatrixInput 
-              size={size} 
-              matrix={matrix} 
-              vector={vector} 
-              onChange={(m, v) => { setMatrix(m); setVector(v); resetSolver(); }}
-              onSizeChange={handleSizeChange}
-            />
+            <div className="flex gap-1 mb-2 text-sm">
+              {[['grid', 'Coefficient Grid'], ['equations', 'Equations']].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setInputMode(value)}
+                  className={`px-3 py-1 rounded ${inputMode === value ? 'bg-blue-600 text-white' : 'bg-white border hover:bg-gray-100'}`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {inputMode === 'grid' ? (
+              <MatrixInput 
+                rows={rows}
+                cols={cols}
+                matrix={matrix} 
+                vectors={vectors}
+                variables={variables}
+                onChange={(m, v) => { setMatrix(m); setVectors(v); resetSolver(); }}
+                onVectorCountChange={handleVectorCountChange}
+                onSizeChange={handleSizeChange}
+              />
+            ) : (
+              <EquationInput
+                matrix={matrix}
+                vector={vectors[0]}
+                variables={variables ?? defaultVariables(cols)}
+                onLoad={loadSystem}
+              />
+            )}
+            <div className="bg-white p-4 rounded-lg shadow-md mb-6">
+              <h3 className="font-bold mb-2">Import / Export</h3>
+              <SystemFileControls matrix={matrix} vectors={vectors} onLoad={loadSystem} />
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow-md mb-6">
+              <h3 className="font-bold mb-3">Example Systems</h3>
+              <PresetGallery onLoad={loadSystem} />
+            </div>
+            <div className="bg-white p-4 rounded-lg shadow-md mb-6">
+              <h3 className="font-bold mb-3">Random System</h3>
+              <RandomSystemGenerator onLoad={loadSystem} />
+            </div>
           </div>
         </div>
 
@@ -165,18 +506,114 @@ function App() {
               {/* The Visualizer */}
               <Visualizer 
                 stepData={steps.steps[currentStepIndex]} 
-                isIterative={steps.type === 'iterative'} 
+                isIterative={steps.type === 'iterative'}
+                variables={steps.variables}
               />
+
+              {steps.sweep && (
+                <OmegaSweepChart sweep={steps.sweep} currentOmega={steps.steps[currentStepIndex].omega} />
+              )}
               
               {/* Final Solution Display */}
-              {currentStepIndex === steps.steps.length - 1 && (
+              {currentStepIndex === steps.steps.length - 1 && steps.inverse && (
                 <div className="mt-4 p-4 bg-green-100 border border-green-300 rounded text-center">
-                  <h3 className="font-bold text-green-800">Final Solution</h3>
-                  <p className="font-mono mt-2">
-                    {steps.solution.map((x, i) => `x${i+1} = ${x.toFixed(4)}`).join(', ')}
+                  <h3 className="font-bold text-green-800">Inverse A⁻¹</h3>
+                  <div className="flex items-center justify-center gap-1 mt-2 font-mono">
+                    {steps.inverse[0].map((_, j) => (
+                      <ColumnVector key={j} values={steps.inverse.map(row => row[j])} />
+                    ))}
+                  </div>
+                </div>
+              )}
+              {currentStepIndex === steps.steps.length - 1 && steps.determinant !== undefined && (
+                <div className="mt-4 p-4 bg-green-100 border border-green-300 rounded text-center">
+                  <h3 className="font-bold text-green-800">det(A) = {formatValue(steps.determinant, 6)}</h3>
+                  <p className="font-mono mt-1 text-sm text-green-800">
+                    {steps.pivots.length === rows
+                      ? `${steps.swaps} row swap${steps.swaps === 1 ? '' : 's'} (sign ${steps.swaps % 2 === 0 ? '+' : '−'}) · pivots ${steps.pivots.map(p => formatValue(p, 4)).join(', ')}`
+                      : 'A is singular'}
+                    {steps.cofactorDeterminant !== null && ` · cofactor expansion: ${formatValue(steps.cofactorDeterminant, 6)}`}
                   </p>
                 </div>
               )}
+              {currentStepIndex === steps.steps.length - 1 && !steps.solution && steps.status !== 'solved' && (
+                <div className="mt-4 p-4 bg-red-100 border border-red-300 rounded text-center">
+                  <h3 className="font-bold text-red-800">{STATUS_LABELS[steps.status] || 'No Solution Computed'}</h3>
+                  <p className="mt-2 text-red-700">{steps.message}</p>
+                  {steps.rank !== undefined && (
+                    <p className="font-mono mt-1 text-sm text-red-700">
+                      rank(A) = {steps.rank}{steps.row !== undefined && steps.row !== null ? `, offending row: ${steps.row}` : ''}
+                    </p>
+                  )}
+                </div>
+              )}
+              {currentStepIndex === steps.steps.length - 1 && steps.solution && (
+                <div className="mt-4 p-4 bg-green-100 border border-green-300 rounded text-center">
+                  <h3 className="font-bold text-green-800">{steps.nullSpace?.length ? 'General Solution' : 'Final Solution'}</h3>
+                  {steps.nullSpace?.length ? (
+                    <>
+                      <div className="flex items-center justify-center gap-2 mt-2 font-mono">
+                        <span>x =</span>
+                        <ColumnVector values={steps.particular} />
+                        {steps.nullSpace.map((v, k) => (
+                          <React.Fragment key={k}>
+                            <span>+ t{subscript(k + 1)}</span>
+                            <ColumnVector values={v} />
+                          </React.Fragment>
+                        ))}
+                      </div>
+                      <p className="text-sm mt-2 text-green-800">
+                        {steps.freeColumns.map((c, k) => `${steps.variables?.[c] ?? `x${c+1}`} = t${subscript(k + 1)}`).join(', ')} (free) · rank(A) = {steps.rank} · pivot columns: {steps.pivotColumns.map(c => c + 1).join(', ')}
+                      </p>
+                    </>
+                  ) : steps.solutions ? (
+                    <div className="flex flex-wrap items-start justify-center gap-6 mt-2 font-mono">
+                      {steps.solutions.map((x, c) => (
+                        <div key={c} className="flex flex-col items-center gap-1">
+                          <span className="text-sm text-green-800">Ax = b{c + 1}</span>
+                          <ColumnVector values={x} />
+                          {steps.columnDiagnostics?.[c] && (
+                            <span className="text-xs text-green-800">‖r‖∞ = {steps.columnDiagnostics[c].residualNorms.inf.toExponential(2)}</span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="font-mono mt-2">
+                      {steps.solution.map((x, i) => `${steps.variables?.[i] ?? `x${i+1}`} = ${formatValue(x, 4)}`).join(', ')}
+                    </p>
+                  )}
+                  {steps.termination && !steps.converged && !steps.analysis && (
+                    <p className="mt-1 text-sm text-red-700">
+                      ✗ {TERMINATION_LABELS[steps.termination.reason]} after {steps.termination.iteration} iterations{steps.termination.detail && ` (${steps.termination.detail})`}
+                    </p>
+                  )}
+                  {steps.analysis && (
+                    <div className="mt-2 text-sm text-left inline-block">
+                      <p><span className="font-semibold">Predicted:</span> {describePrediction(steps.analysis, method)}</p>
+                      <p>
+                        <span className="font-semibold">Actual:</span>{' '}
+                        {steps.converged
+                          ? `converged in ${steps.termination.iteration} iterations`
+                          : <span className="text-red-700">{TERMINATION_LABELS[steps.termination.reason]} after {steps.termination.iteration} iterations{steps.termination.detail && ` (${steps.termination.detail})`}</span>}
+                      </p>
+                    </div>
+                  )}
+                  {steps.referenceError !== undefined && steps.referenceError !== null && (
+                    <p className="font-mono mt-1 text-sm text-green-800">
+                      Relative error vs float64 solution ‖x − x₆₄‖∞ / ‖x₆₄‖∞ = {steps.referenceError.toExponential(2)}
+                    </p>
+                  )}
+                  {steps.residualNorm !== undefined && (
+                    <p className="font-mono mt-1 text-sm text-green-800">
+                      Least-squares residual ‖Ax − b‖₂ = {steps.residualNorm.toExponential(4)}
+                    </p>
+                  )}
+                </div>
+              )}
+              {currentStepIndex === steps.steps.length - 1 && steps.diagnostics && (
+                <DiagnosticsPanel diagnostics={steps.diagnostics} label={steps.solutions ? 'b1' : null} />
+              )}
             </>
           )}
         </div>
@@ -193,6 +630,7 @@ function App() {
                 Close Comparison
               </button>
             </div>
+            {comparison.notice && <p className="-mt-4 mb-4 text-sm text-gray-600">{comparison.notice}</p>}
 
             {/* Best Method Recommendation */}
             <div className="bg-gradient-to-r from-purple-100 to-blue-100 border-2 border-purple-400 rounded-lg p-6 mb-8">
@@ -200,6 +638,12 @@ function App() {
                 🎯 Recommended Method: {comparison.allMetrics[comparison.bestMethod].name}
               </h3>
               <p className="text-lg text-purple-800 font-semibold">{comparison.reason}</p>
+              {comparison.condition && comparison.condition.inf !== null && (
+                <p className="mt-2 font-mono text-sm text-purple-900">
+                  κ₁(A) ≈ {comparison.condition.one === Infinity ? '∞' : comparison.condition.one.toExponential(2)},
+                  κ∞(A) ≈ {comparison.condition.inf === Infinity ? '∞' : comparison.condition.inf.toExponential(2)}
+                </p>
+              )}
             </div>
 
             {/* Metrics Table */}
@@ -210,8 +654,19 @@ function App() {
                     <th className="border p-3 text-left font-bold">Method</th>
                     <th className="border p-3 text-center font-bold">Type</th>
                     <th className="border p-3 text-center font-bold">Steps</th>
+                    <th className="border p-3 text-center font-bold">Flops</th>
+                    {comparison.allMetrics[comparison.bestMethod].leastSquares && (
+                      <th className="border p-3 text-center font-bold">‖Ax − b‖₂ / ‖Aᵀr‖₂</th>
+                    )}
+                    {!comparison.allMetrics[comparison.bestMethod].leastSquares && (
+                      <th className="border p-3 text-center font-bold">Error vs float64</th>
+                    )}
+                    <th className="border p-3 text-center font-bold">‖r‖∞</th>
+                    {!comparison.allMetrics[comparison.bestMethod].leastSquares && (
+                      <th className="border p-3 text-center font-bold">Error bound</th>
+                    )}
                     <th className="border p-3 text-center font-bold">Status</th>
-                    <th className="border p-3 text-center font-bold">Efficiency</th>
+                    <th className="border p-3 text-center font-bold">Score</th>
                     <th className="border p-3 text-center font-bold">Complexity</th>
                   </tr>
                 </thead>
@@ -228,22 +683,69 @@ function App() {
                         </span>
                       </td>
                       <td className="border p-3 text-center font-mono text-gray-700">{metric.steps}</td>
+                      <td className="border p-3 text-center font-mono text-gray-700 text-sm">{metric.flops !== undefined ? metric.flops.toLocaleString() : '—'}</td>
+                      {metric.leastSquares && (
+                        <td className="border p-3 text-center font-mono text-gray-700 text-sm">
+                          {metric.status === 'solved'
+                            ? `${metric.residualNorm.toExponential(3)} / ${metric.optimalityResidual.toExponential(2)}`
+                            : '—'}
+                        </td>
+                      )}
+                      {!metric.leastSquares && (
+                        <td className="border p-3 text-center font-mono text-gray-700 text-sm">
+                          {metric.error !== null && metric.error !== undefined ? metric.error.toExponential(1) : '—'}
+                          {metric.float64Only && <div className="text-xs text-gray-500">float64 only</div>}
+                        </td>
+                      )}
+                      <td className="border p-3 text-center font-mono text-gray-700 text-sm">
+                        {metric.diagnostics ? metric.diagnostics.residualNorms.inf.toExponential(1) : '—'}
+                      </td>
+                      {!metric.leastSquares && (
+                        <td className="border p-3 text-center font-mono text-gray-700 text-sm">
+                          {metric.diagnostics && metric.diagnostics.forwardErrorBound !== null
+                            ? (metric.diagnostics.forwardErrorBound === Infinity ? '∞' : metric.diagnostics.forwardErrorBound.toExponential(1))
+                            : '—'}
+                        </td>
+                      )}
                       <td className="border p-3 text-center">
                         {metric.type === 'direct' ? (
-                          <span className="text-green-600 font-bold">✓ Direct</span>
+                          metric.status && metric.status !== 'solved' ? (
+                            <span className="text-red-600 font-bold">✗ {STATUS_LABELS[metric.status] || metric.status}</span>
+                          ) : (
+                            <span className="text-green-600 font-bold">✓ Direct</span>
+                          )
                         ) : (
-                          <span className={metric.converged ? "text-green-600 font-bold" : "text-red-600 font-bold"}>
-                            {metric.converged ? '✓ Converged' : '✗ No Conv.'}
-                          </span>
+                          <>
+                            <span className={metric.converged ? "text-green-600 font-bold" : "text-red-600 font-bold"}>
+                              {metric.converged ? '✓ Converged' : `✗ ${TERMINATION_LABELS[metric.termination?.reason] || 'No Conv.'}`}
+                            </span>
+                            {!metric.converged && metric.termination?.detail && (
+                              <div className="text-xs text-red-500">{metric.termination.detail}</div>
+                            )}
+                            {metric.prediction && (
+                              <div className="text-xs text-gray-500">
+                                predicted: {metric.prediction.spectralRadius === null
+                                  ? 'undefined (zero diagonal)'
+                                  : metric.prediction.converges
+                                    ? `✓ ≈${metric.prediction.iterations} it. (ρ = ${metric.prediction.spectralRadius.toFixed(2)})`
+                                    : `✗ (ρ = ${metric.prediction.spectralRadius.toFixed(2)})`}
+                              </div>
+                            )}
+                          </>
                         )}
                       </td>
                       <td className="border p-3 text-center">
-                        <div className="w-full bg-gray-200 rounded-full h-6">
+                        <div
+                          className="w-full bg-gray-200 rounded-full h-6"
+                          title={metric.scoreParts
+                            ? `accuracy ${(metric.scoreParts.accuracy * 100).toFixed(0)}% × stability ${(metric.scoreParts.stability * 100).toFixed(0)}% × cost ${(metric.scoreParts.cost * 100).toFixed(0)}%`
+                            : undefined}
+                        >
                           <div 
                             className="bg-blue-500 h-6 rounded-full flex items-center justify-center text-white font-bold text-sm"
-                            style={{ width: `${metric.efficiency * 100}%` }}
+                            style={{ width: `${metric.score * 100}%` }}
                           >
-                            {(metric.efficiency * 100).toFixed(0)}%
+                            {(metric.score * 100).toFixed(0)}%
                           </div>
                         </div>
                       </td>
@@ -262,6 +764,16 @@ function App() {
                   <div className="space-y-2 text-sm">
                     <p><span className="font-semibold">Type:</span> {metric.type === 'direct' ? 'Direct Method' : 'Iterative Method'}</p>
                     <p><span className="font-semibold">Steps:</span> {metric.steps}</p>
+                    {metric.flops !== undefined && (
+                      <p><span className="font-semibold">Flops:</span> {metric.flops.toLocaleString()} ({metric.operations.mulDiv.toLocaleString()} mult/div, {metric.operations.addSub.toLocaleString()} add/sub)</p>
+                    )}
+                    {metric.scoreParts && (
+                      <p>
+                        <span className="font-semibold">Score:</span> accuracy {(metric.scoreParts.accuracy * 100).toFixed(0)}%
+                        {' '}× stability {(metric.scoreParts.stability * 100).toFixed(0)}% × cost {(metric.scoreParts.cost * 100).toFixed(0)}%
+                        {metric.growthFactor !== undefined && ` (growth factor ${metric.growthFactor.toFixed(1)})`}
+                      </p>
+                    )}
                     <p><span className="font-semibold">Complexity:</span> {metric.timeComplexity}</p>
                     {metric.advantage && <p className="text-green-700 font-semibold">💡 {metric.advantage}</p>}
                     {metric.description && <p className="text-gray-600 italic">{metric.description}</p>}
@@ -269,8 +781,24 @@ function App() {
                 </div>
               ))}
             </div>
+
+            <OperationBreakdown metrics={comparison.allMetrics} n={comparison.properties?.n} />
           </div>
         )}
+
+        {/* Benchmark Section: stays mounted while hidden so a running benchmark keeps its results */}
+        <div className={showBenchmark ? 'mt-12' : 'hidden'}>
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-2xl font-bold text-gray-800">Batch Benchmark</h2>
+            <button 
+              onClick={() => setShowBenchmark(false)}
+              className="px-4 py-2 bg-gray-300 text-gray-800 rounded hover:bg-gray-400 transition"
+            >
+              Close Benchmark
+            </button>
+          </div>
+          <BenchmarkPanel settings={iterationSettings} pivotTolerance={pivotTolerance} />
+        </div>
       </main>
     </div>
   );
@@ -0,0 +1,278 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  LogarithmicScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { ArrowUp, ArrowDown } from 'lucide-react';
+import { DEFAULT_BENCHMARK, BENCHMARK_FAMILIES } from '../utils/benchmark';
+import { COMPARED_METHODS } from '../utils/compareAlgorithms';
+import { GENERATOR_STRUCTURES } from '../utils/matrixGenerator';
+import { STATUS_LABELS, TERMINATION_LABELS } from '../utils/solverLogic';
+import { createSolverClient } from '../utils/solverClient';
+
+ChartJS.register(LinearScale, LogarithmicScale, PointElement, LineElement, Title, Tooltip, Legend);
+
+const METHOD_COLORS = {
+  gauss: 'rgb(37, 99, 235)',
+  pivoting: 'rgb(22, 163, 74)',
+  gaussJordan: 'rgb(147, 51, 234)',
+  lu: 'rgb(8, 145, 178)',
+  jacobi: 'rgb(234, 88, 12)',
+  seidel: 'rgb(220, 38, 38)',
+  cg: 'rgb(202, 138, 4)',
+  pcg: 'rgb(219, 39, 119)',
+  gmres: 'rgb(75, 85, 99)'
+};
+
+const DEFAULT_VALUES = {
+  size: DEFAULT_BENCHMARK.values.join(', '),
+  condition: '1e2, 1e4, 1e6, 1e8, 1e10, 1e12'
+};
+
+const COLUMNS = [
+  { key: 'name', label: 'Method' },
+  { key: 'size', label: 'n' },
+  { key: 'condition', label: 'κ₂ target' },
+  { key: 'time', label: 'Time (ms)' },
+  { key: 'flops', label: 'Flops' },
+  { key: 'backwardError', label: 'Backward error' },
+  { key: 'error', label: 'Error vs x*' },
+  { key: 'iterations', label: 'Iterations' },
+  { key: 'convergenceFactor', label: 'Conv. factor' },
+  { key: 'status', label: 'Status' }
+];
+
+const sci = (value) => (value === null || value === undefined ? '—' : value.toExponential(1));
+
+const formatCell = (run, key) => {
+  switch (key) {
+    case 'condition': return run.condition === null ? '—' : run.condition.toExponential(0);
+    case 'time': return run.time.toFixed(1);
+    case 'flops': return run.flops.toLocaleString();
+    case 'backwardError':
+    case 'error': return sci(run[key]);
+    case 'iterations': return run.iterations ?? '—';
+    case 'convergenceFactor': return run.convergenceFactor === null ? '—' : run.convergenceFactor.toFixed(3);
+    case 'status': return STATUS_LABELS[run.status] ?? TERMINATION_LABELS[run.status] ?? run.status;
+    default: return run[key];
+  }
+};
+
+// Missing values sort last in either direction
+const compareRuns = (key, direction) => (a, b) => {
+  const x = a[key], y = b[key];
+  if (x === y) return 0;
+  if (x === null || x === undefined) return 1;
+  if (y === null || y === undefined) return -1;
+  return (x < y ? -1 : 1) * direction;
+};
+
+// Runs the comparison methods over a family of random systems and charts time and error
+const BenchmarkPanel = ({ settings, pivotTolerance }) => {
+  const [config, setConfig] = useState({ ...DEFAULT_BENCHMARK, condition: 1e6, useCondition: false });
+  const [valuesText, setValuesText] = useState(DEFAULT_VALUES.size);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [sort, setSort] = useState({ key: 'value', direction: 1 });
+  const running = progress !== null;
+
+  // The benchmark runs in its own solver worker, so it neither blocks the page nor a solve
+  const solverRef = useRef(null);
+  useEffect(() => {
+    const client = createSolverClient();
+    solverRef.current = client;
+    return () => client.dispose();
+  }, []);
+  const update = (changes) => setConfig(prev => ({ ...prev, ...changes }));
+
+  const handleFamilyChange = (family) => {
+    update({ family });
+    setValuesText(DEFAULT_VALUES[family]);
+  };
+
+  const handleRun = async () => {
+    const values = valuesText.split(/[\s,;]+/).filter(Boolean).map(Number);
+    if (values.some(v => !Number.isFinite(v))) {
+      setError('Values must be numbers separated by commas, e.g. 5, 10, 20 or 1e2, 1e6');
+      return;
+    }
+    setError(null);
+    setProgress({ done: 0, total: 1 });
+    try {
+      const { result: benchmark } = await solverRef.current.run(
+        { kind: 'benchmark', config: { ...config, values, condition: config.useCondition ? config.condition : null }, settings, pivotTolerance },
+        ({ done, total }) => setProgress({ done, total })
+      );
+      // Cancelling keeps the rows finished so far, unless the worker had to be stopped mid-run
+      if (benchmark) setResult(benchmark);
+    } catch (err) {
+      setError(err.message);
+    }
+    setProgress(null);
+  };
+
+  const handleSort = (key) => setSort(prev => ({ key, direction: prev.key === key ? -prev.direction : 1 }));
+
+  const parameterLabel = result?.config.family === 'condition' ? 'κ₂(A)' : 'n';
+  const chart = (field, title) => ({
+    data: {
+      datasets: Object.keys(COMPARED_METHODS).map(key => ({
+        label: COMPARED_METHODS[key].name,
+        data: result.runs.filter(run => run.method === key).map(run => ({ x: run.value, y: run[field] > 0 ? run[field] : null })),
+        borderColor: METHOD_COLORS[key],
+        backgroundColor: METHOD_COLORS[key],
+        tension: 0.1,
+        spanGaps: false
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      plugins: { title: { display: true, text: title }, legend: { labels: { boxWidth: 12 } } },
+      scales: {
+        x: { type: result.config.family === 'condition' ? 'logarithmic' : 'linear', title: { display: true, text: parameterLabel } },
+        y: { type: 'logarithmic', title: { display: true, text: field === 'time' ? 'ms' : '‖x − x*‖∞ / ‖x*‖∞' } }
+      }
+    }
+  });
+
+  const sortedRuns = result ? [...result.runs].sort(compareRuns(sort.key, sort.direction)) : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white p-4 rounded-lg shadow-md text-sm space-y-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <select value={config.family} onChange={(e) => handleFamilyChange(e.target.value)} disabled={running} className="border rounded p-1">
+            {Object.entries(BENCHMARK_FAMILIES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <label className="flex items-center gap-1 flex-1 min-w-[12rem]">
+            {config.family === 'condition' ? 'κ₂ values' : 'n values'}
+            <input
+              type="text"
+              value={valuesText}
+              onChange={(e) => setValuesText(e.target.value)}
+              disabled={running}
+              className="flex-1 border rounded p-1 font-mono"
+            />
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          {config.family === 'condition' ? (
+            <label className="flex items-center gap-1">
+              n =
+              <input
+                type="number" min="2" max="50" step="1"
+                value={config.size}
+                onChange={(e) => update({ size: parseInt(e.target.value) || 2 })}
+                disabled={running}
+                className="w-16 border rounded p-1"
+              />
+            </label>
+          ) : (
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={config.useCondition} onChange={(e) => update({ useCondition: e.target.checked })} disabled={running} />
+              fixed κ₂ =
+              <input
+                type="number" min="1" step="any"
+                value={config.condition}
+                onChange={(e) => update({ condition: Number(e.target.value) })}
+                disabled={running || !config.useCondition}
+                className="w-24 border rounded p-1 disabled:opacity-50"
+              />
+            </label>
+          )}
+          <select value={config.structure} onChange={(e) => update({ structure: e.target.value })} disabled={running} className="border rounded p-1">
+            {Object.entries(GENERATOR_STRUCTURES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <label className="flex items-center gap-1">
+            seed
+            <input
+              type="number" min="0" step="1"
+              value={config.seed}
+              onChange={(e) => update({ seed: Math.max(0, parseInt(e.target.value) || 0) })}
+              disabled={running}
+              className="w-24 border rounded p-1"
+            />
+          </label>
+          {running ? (
+            <button onClick={() => solverRef.current?.cancel()} className="px-4 py-1 bg-red-600 text-white rounded font-semibold hover:bg-red-700">
+              Cancel
+            </button>
+          ) : (
+            <button onClick={handleRun} className="px-4 py-1 bg-purple-600 text-white rounded font-semibold hover:bg-purple-700">
+              Run Benchmark
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-gray-500">
+          Every method runs in float64 with the current iteration settings (x⁰ = 0) and pivot tolerance. Time includes recording the steps and counting;
+          flops are counted operation by operation, stopping tests excluded.
+        </p>
+        {running && (
+          <div>
+            <div className="w-full bg-gray-200 rounded-full h-3">
+              <div className="bg-purple-500 h-3 rounded-full transition-all" style={{ width: `${(100 * progress.done) / progress.total}%` }} />
+            </div>
+            <p className="text-xs text-gray-600 mt-1">{progress.done} / {progress.total} runs</p>
+          </div>
+        )}
+        {error && <p className="p-2 bg-red-50 border border-red-300 rounded text-red-700 text-xs">{error}</p>}
+        {result?.cancelled && <p className="text-xs text-orange-700">Cancelled after {result.runs.length} runs - showing the partial results.</p>}
+      </div>
+
+      {result && result.runs.length > 0 && (
+        <>
+          <div className="grid lg:grid-cols-2 gap-4">
+            {[['time', `Time vs ${parameterLabel}`], ['error', `Error vs ${parameterLabel}`]].map(([field, title]) => {
+              const { data, options } = chart(field, title);
+              return (
+                <div key={field} className="bg-white p-4 rounded-lg shadow-md h-80">
+                  <Line data={data} options={options} />
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="bg-gray-100">
+                  {COLUMNS.map(({ key, label }) => (
+                    <th key={key} className="border p-2 text-center font-bold whitespace-nowrap">
+                      <button onClick={() => handleSort(key)} className="inline-flex items-center gap-1 hover:text-purple-700">
+                        {label}
+                        {sort.key === key && (sort.direction > 0 ? <ArrowUp size={12} /> : <ArrowDown size={12} />)}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedRuns.map(run => (
+                  <tr key={result.runs.indexOf(run)} className="hover:bg-gray-50">
+                    {COLUMNS.map(({ key }) => (
+                      <td key={key} className={`border p-2 ${key === 'name' ? 'font-semibold' : 'text-center font-mono'}`}>
+                        {formatCell(run, key)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BenchmarkPanel;
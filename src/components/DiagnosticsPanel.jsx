@@ -0,0 +1,41 @@
+import React from 'react';
+
+// Large or tiny numbers in exponent form; Infinity (singular A) and missing values shown explicitly
+const formatNumber = (val) => {
+  if (val === null || val === undefined) return '—';
+  if (val === Infinity) return '∞';
+  return val.toExponential(2);
+};
+
+// Accuracy report under the final solution: residual r = b − Ax, κ(A) estimates and the forward-error bound.
+// `label` names the right-hand side the report is for when several were solved.
+const DiagnosticsPanel = ({ diagnostics, label }) => {
+  const { residual, residualNorms, condition, forwardErrorBound } = diagnostics;
+
+  return (
+    <div className="mt-4 p-4 bg-white border border-gray-300 rounded">
+      <h3 className="font-bold text-gray-800 mb-2">Diagnostics{label && ` for ${label}`}</h3>
+      <div className="grid sm:grid-cols-2 gap-x-6 gap-y-1 text-sm font-mono">
+        <p className="sm:col-span-2">
+          r = b − Ax = [{residual.map(formatNumber).join(', ')}]
+        </p>
+        <p>‖r‖₁ = {formatNumber(residualNorms.one)}</p>
+        <p>κ₁(A) ≈ {formatNumber(condition.one)}</p>
+        <p>‖r‖₂ = {formatNumber(residualNorms.two)}</p>
+        <p>κ∞(A) ≈ {formatNumber(condition.inf)}</p>
+        <p>‖r‖∞ = {formatNumber(residualNorms.inf)}</p>
+        <p title="‖x − x*‖∞ / ‖x‖∞ ≤ κ∞(A) · ‖r‖∞ / ‖b‖∞">
+          rel. forward error ≤ {formatNumber(forwardErrorBound)}
+        </p>
+      </div>
+      {condition.inf === Infinity && (
+        <p className="mt-2 text-xs text-red-700">A is singular, so the solution is not unique and no error bound exists.</p>
+      )}
+      {condition.inf === null && (
+        <p className="mt-2 text-xs text-gray-500">κ(A) and the error bound are only defined for square matrices.</p>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { parseEquations, formatEquations } from '../utils/equationParser';
+import { parseEntry } from '../utils/arithmetic';
+
+const PLACEHOLDER = '2x + 3y - z = 5\ny = 1/2 x - 4 + z\n-x + 0.5z - 3 = 2y';
+
+// Starts from the current grid written as equations (if every entry is a valid number)
+const initialText = (matrix, vector, variables) => (
+  matrix.every(row => row.every(v => Number.isFinite(parseEntry(v)))) && vector.every(v => Number.isFinite(parseEntry(v)))
+    ? formatEquations(matrix, vector, variables)
+    : ''
+);
+
+// Text alternative to MatrixInput: one equation per line with named variables
+const EquationInput = ({ matrix, vector, variables, onLoad }) => {
+  const [text, setText] = useState(() => initialText(matrix, vector, variables));
+  const [error, setError] = useState(null);
+
+  const handleBuild = () => {
+    try {
+      const system = parseEquations(text);
+      setError(null);
+      onLoad(system.matrix, [system.vector], system.variables);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const errorLine = error?.line ? text.split(/\r?\n/)[error.line - 1] : null;
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mb-6">
+      <h2 className="text-xl font-bold text-gray-800 mb-2">System Input</h2>
+      <p className="text-xs text-gray-500 mb-2">
+        One equation per line. Coefficients may be fractions (3/4 x, x/2) or omitted; variables and constants may appear on either side.
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => { setText(e.target.value); setError(null); }}
+        placeholder={PLACEHOLDER}
+        rows={Math.min(12, Math.max(4, text.split('\n').length + 1))}
+        spellCheck={false}
+        className="w-full border rounded p-2 font-mono text-sm focus:ring-2 focus:ring-blue-500"
+      />
+      {error && (
+        <div className="mt-2 p-2 bg-red-50 border border-red-300 rounded text-sm text-red-700">
+          <p>{error.message}</p>
+          {errorLine !== null && errorLine !== undefined && (
+            <pre className="mt-1 font-mono text-xs text-gray-800 overflow-x-auto">
+              {errorLine}{'\n'}
+              <span className="text-red-600 font-bold">{' '.repeat(error.column - 1)}{'^'.repeat(error.length)}</span>
+            </pre>
+          )}
+        </div>
+      )}
+      <button
+        onClick={handleBuild}
+        className="mt-2 px-4 py-2 bg-blue-600 text-white rounded font-semibold hover:bg-blue-700 transition"
+      >
+        Build System
+      </button>
+    </div>
+  );
+};
+
+export default EquationInput;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { clsx } from 'clsx';
+import { parseEntry } from '../utils/arithmetic';
+import { STOPPING_CRITERIA } from '../utils/solverLogic';
+
+// Smallest tolerance accepted: a tolerance ≤ 0 could never be met, so every run would hit maxIter
+const MIN_TOLERANCE = 1e-15;
+
+// Initial guess, tolerance, iteration limit and stopping test shared by all iterative methods and the comparison
+const IterationSettings = ({ settings, onChange }) => {
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const handleGuessChange = (i, val) => {
+    const x0 = [...settings.x0];
+    x0[i] = val;
+    update({ x0 });
+  };
+
+  return (
+    <div className="bg-white p-4 rounded shadow space-y-3 text-sm">
+      <h3 className="font-bold">Iteration Settings</h3>
+
+      <div>
+        <label className="block font-semibold mb-1">Initial guess x⁰:</label>
+        <div className="flex flex-wrap gap-1">
+          {settings.x0.map((val, i) => (
+            <input
+              key={i}
+              type="text"
+              inputMode="decimal"
+              value={val}
+              onChange={(e) => handleGuessChange(i, e.target.value)}
+              title={`x${i + 1}⁰`}
+              className={clsx(
+                "w-14 border p-1 rounded text-center",
+                Number.isNaN(parseEntry(val)) ? "bg-red-50 border-red-500" : "bg-white"
+              )}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <label className="flex-1">
+          <span className="block font-semibold mb-1">Tolerance:</span>
+          <input
+            type="number" min={MIN_TOLERANCE} step="any"
+            value={settings.tolerance}
+            onChange={(e) => update({ tolerance: Math.max(MIN_TOLERANCE, Number(e.target.value) || MIN_TOLERANCE) })}
+            className="w-full border p-1 rounded"
+          />
+        </label>
+        <label className="flex-1">
+          <span className="block font-semibold mb-1">Max iterations:</span>
+          <input
+            type="number" min="1" max="10000" step="1"
+            value={settings.maxIter}
+            onChange={(e) => update({ maxIter: Math.min(10000, Math.max(1, parseInt(e.target.value) || 1)) })}
+            className="w-full border p-1 rounded"
+          />
+        </label>
+      </div>
+
+      <label className="block">
+        <span className="block font-semibold mb-1">Stop when:</span>
+        <select
+          value={settings.criterion}
+          onChange={(e) => update({ criterion: e.target.value })}
+          className="w-full border p-1 rounded"
+        >
+          {Object.entries(STOPPING_CRITERIA).map(([key, label]) => (
+            <option key={key} value={key}>{label} &lt; tol</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="flex items-center gap-3">
+        <span className="font-semibold">Norm:</span>
+        {[['2', '2-norm'], ['inf', '∞-norm']].map(([value, label]) => (
+          <label key={value} className="flex items-center gap-1">
+            <input
+              type="radio"
+              name="iteration-norm"
+              checked={settings.norm === value}
+              onChange={() => update({ norm: value })}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default IterationSettings;
@@ -0,0 +1,94 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { parseEntry, formatValue } from '../utils/arithmetic';
+
+// Cell size in CSS pixels: as large as fits in MAX_WIDTH, but never below MIN_CELL (the canvas scrolls instead)
+const MIN_CELL = 6;
+const MAX_CELL = 24;
+const MAX_WIDTH = 480;
+// Magnitudes are shaded on a log scale spanning this many decades below the largest entry
+const DECADES = 6;
+
+// Blue for positive, red for negative entries; darker means larger |value|, zero stays white
+const cellColor = (value, scale) => {
+  const v = parseEntry(value);
+  if (!Number.isFinite(v)) return '#111827';
+  if (v === 0) return '#ffffff';
+  const t = Math.max(0, 1 + Math.log10(Math.abs(v) / scale) / DECADES);
+  return `hsl(${v > 0 ? 220 : 0}, 80%, ${92 - 52 * t}%)`;
+};
+
+/**
+ * Zoomed-out rendering of a matrix for sizes where numbered cells no longer fit.
+ * `highlights` uses the Visualizer format ({ rows, cols, cells, dominance }); `divider` draws the [A | I] separator.
+ * Hovering a cell shows its value below the map.
+ */
+const MatrixHeatmap = ({ matrix, highlights = {}, divider, name = 'A' }) => {
+  const canvasRef = useRef(null);
+  const [hover, setHover] = useState(null);
+  const m = matrix.length;
+  const n = matrix[0]?.length ?? 0;
+  // Sized by the longer side so b and the factors line up row by row with A
+  const cell = Math.max(MIN_CELL, Math.min(MAX_CELL, Math.floor(MAX_WIDTH / Math.max(m, n, 1))));
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = n * cell * ratio;
+    canvas.height = m * cell * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+    const scale = matrix.reduce((max, row) => row.reduce((acc, v) => {
+      const x = Math.abs(parseEntry(v));
+      return Number.isFinite(x) ? Math.max(acc, x) : acc;
+    }, max), 0) || 1;
+
+    matrix.forEach((row, r) => row.forEach((v, c) => {
+      ctx.fillStyle = cellColor(v, scale);
+      ctx.fillRect(c * cell, r * cell, cell, cell);
+    }));
+
+    // Outlines instead of fills so the shading stays readable under the highlights
+    const outline = (x, y, w, h, color, width) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      ctx.strokeRect(x + width / 2, y + width / 2, w - width, h - width);
+    };
+    highlights.dominance?.violated.forEach(r => outline(0, r * cell, n * cell, cell, 'rgb(220, 38, 38)', 2));
+    highlights.dominance?.weak.forEach(r => outline(0, r * cell, n * cell, cell, 'rgb(245, 158, 11)', 2));
+    highlights.rows?.forEach(r => outline(0, r * cell, n * cell, cell, 'rgb(37, 99, 235)', 2));
+    highlights.cols?.forEach(c => outline(c * cell, 0, cell, m * cell, 'rgb(147, 51, 234)', 2));
+    highlights.cells?.forEach(([r, c]) => outline(c * cell, r * cell, cell, cell, 'rgb(234, 179, 8)', 3));
+
+    if (divider !== undefined) {
+      ctx.fillStyle = 'rgb(75, 85, 99)';
+      ctx.fillRect(divider * cell - 1, 0, 2, m * cell);
+    }
+  }, [matrix, highlights, divider, cell, m, n]);
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const r = Math.floor((e.clientY - rect.top) / cell);
+    const c = Math.floor((e.clientX - rect.left) / cell);
+    setHover(r >= 0 && r < m && c >= 0 && c < n ? [r, c] : null);
+  };
+
+  return (
+    <div>
+      <div className="overflow-auto matrix-scroll max-w-full max-h-[32rem] border rounded">
+        <canvas
+          ref={canvasRef}
+          style={{ width: n * cell, height: m * cell, display: 'block' }}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHover(null)}
+        />
+      </div>
+      <p className="text-xs font-mono text-gray-600 mt-1 h-4">
+        {hover && `${name}[${hover[0]}]${n > 1 ? `[${hover[1]}]` : ''} = ${formatValue(matrix[hover[0]][hover[1]], 4)}`}
+      </p>
+    </div>
+  );
+};
+
+export default MatrixHeatmap;
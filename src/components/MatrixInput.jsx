@@ -1,47 +1,84 @@
 import React from 'react';
+import { clsx } from 'clsx';
+import { Plus, Minus } from 'lucide-react';
+import { parseEntry } from '../utils/arithmetic';
+import { MAX_SIZE } from '../utils/matrixIO';
 
-const MatrixInput = ({ size, matrix, vector, onChange, onSizeChange }) => {
+// Entries are kept exactly as typed ("3/4", "-0.5") so exact mode can read fractions without rounding
+const isInvalid = (val) => Number.isNaN(parseEntry(val));
+
+// Up to this many right-hand sides b₁, b₂, ... can share the same A
+const MAX_RHS = 6;
+
+// Above this many rows or columns the input cells shrink so more of the system fits on screen
+const COMPACT_SIZE = 8;
+
+// Number of equations / unknowns, applied on blur or Enter so typing "12" does not first resize to 1
+const SizeInput = ({ value, onCommit }) => {
+  const commit = (e) => {
+    const n = parseInt(e.target.value);
+    if (Number.isInteger(n) && n >= 1 && n <= MAX_SIZE && n !== value) onCommit(n);
+    else e.target.value = value;
+  };
+
+  return (
+    <input
+      type="number" min="1" max={MAX_SIZE} step="1"
+      defaultValue={value}
+      onBlur={commit}
+      onKeyDown={(e) => e.key === 'Enter' && commit(e)}
+      className="w-16 border rounded p-1"
+    />
+  );
+};
+
+const MatrixInput = ({ rows, cols, matrix, vectors, variables, onChange, onSizeChange, onVectorCountChange }) => {
   const handleMatrixChange = (r, c, val) => {
     const newM = [...matrix];
-    newM[r][c] = parseFloat(val) || 0;
-    onChange(newM, vector);
+    newM[r][c] = val;
+    onChange(newM, vectors);
   };
 
-  const handleVectorChange = (r, val) => {
-    const newV = [...vector];
-    newV[r] = parseFloat(val) || 0;
-    onChange(matrix, newV);
+  const handleVectorChange = (k, r, val) => {
+    const newVs = vectors.map(v => [...v]);
+    newVs[k][r] = val;
+    onChange(matrix, newVs);
   };
 
+  // Several right-hand sides are only offered for square systems
+  const canAddVector = rows === cols && vectors.length < MAX_RHS;
+  const compact = Math.max(rows, cols) > COMPACT_SIZE;
+  const cellSize = compact ? "w-12 h-8 text-xs" : "w-16 h-12";
+
   return (
     <div className="bg-white p-6 rounded-lg shadow-md mb-6">
       <div className="flex justify-between items-center mb-4">
         <h2 className="text-xl font-bold text-gray-800">System Input</h2>
         <div className="flex items-center gap-2">
-          <label className="text-sm font-medium">Size:</label>
-          <select 
-            value={size} 
-            onChange={(e) => onSizeChange(parseInt(e.target.value))}
-            className="border rounded p-1"
-          >
-            <option value={2}>2x2</option>
-            <option value={3}>3x3</option>
-            <option value={4}>4x4</option>
-          </select>
+          <label className="text-sm font-medium">Equations:</label>
+          <SizeInput key={`rows-${rows}`} value={rows} onCommit={(n) => onSizeChange(n, cols)} />
+          <label className="text-sm font-medium">Unknowns:</label>
+          <SizeInput key={`cols-${cols}`} value={cols} onCommit={(n) => onSizeChange(rows, n)} />
         </div>
       </div>
 
-      <div className="flex items-center gap-4 overflow-x-auto matrix-scroll pb-2">
+      {/* Large systems scroll in both directions; A, x and b scroll together so rows stay aligned */}
+      <div className={clsx("flex gap-4 overflow-auto matrix-scroll pb-2 max-h-[32rem]", compact ? "items-start" : "items-center")}>
         {/* Matrix A */}
-        <div className="grid gap-2" style={{ gridTemplateColumns: `repeat(${size}, minmax(60px, 1fr))` }}>
+        <div className={clsx("grid shrink-0", compact ? "gap-1" : "gap-2")} style={{ gridTemplateColumns: `repeat(${cols}, ${compact ? 'auto' : 'minmax(60px, 1fr)'})` }}>
           {matrix.map((row, r) => (
             row.map((val, c) => (
               <input
                 key={`m-${r}-${c}`}
-                type="number"
+                type="text"
+                inputMode="decimal"
                 value={val}
                 onChange={(e) => handleMatrixChange(r, c, e.target.value)}
-                className="w-16 h-12 text-center border rounded bg-blue-50 focus:ring-2 focus:ring-blue-500"
+                title={isInvalid(val) ? 'Enter a number or fraction such as 3/4' : undefined}
+                className={clsx(
+                  cellSize, "text-center border rounded focus:ring-2",
+                  isInvalid(val) ? "bg-red-50 border-red-500 focus:ring-red-500" : "bg-blue-50 focus:ring-blue-500"
+                )}
               />
             ))
           ))}
@@ -49,28 +86,59 @@ const MatrixInput = ({ size, matrix, vector, onChange, onSizeChange }) => {
         
         <div className="text-2xl font-bold text-gray-400">×</div>
 
-        {/* Vector x (Label) */}
-        <div className="flex flex-col gap-2">
-          {Array(size).fill(0).map((_, i) => (
-            <div key={i} className="w-10 h-12 flex items-center justify-center font-serif italic">x{i+1}</div>
+        {/* Vector x (Label): typed equations keep their variable names */}
+        <div className={clsx("flex flex-col shrink-0", compact ? "gap-1" : "gap-2")}>
+          {Array(cols).fill(0).map((_, i) => (
+            <div key={i} className={clsx("w-10 flex items-center justify-center font-serif italic", compact ? "h-8 text-xs" : "h-12")}>{variables?.[i] ?? `x${i + 1}`}</div>
           ))}
         </div>
 
         <div className="text-2xl font-bold text-gray-400">=</div>
 
-        {/* Vector b */}
-        <div className="flex flex-col gap-2">
-          {vector.map((val, r) => (
-            <input
-              key={`v-${r}`}
-              type="number"
-              value={val}
-              onChange={(e) => handleVectorChange(r, e.target.value)}
-              className="w-16 h-12 text-center border rounded bg-green-50 focus:ring-2 focus:ring-green-500"
-            />
-          ))}
+        {/* Right-hand sides b₁, b₂, ... side by side */}
+        {vectors.map((vector, k) => (
+          <div key={`b-${k}`} className={clsx("flex flex-col shrink-0", compact ? "gap-1" : "gap-2")}>
+            {vector.map((val, r) => (
+              <input
+                key={`v-${k}-${r}`}
+                type="text"
+                inputMode="decimal"
+                value={val}
+                onChange={(e) => handleVectorChange(k, r, e.target.value)}
+                title={isInvalid(val) ? 'Enter a number or fraction such as 3/4' : vectors.length > 1 ? `b${k + 1}` : undefined}
+                className={clsx(
+                  cellSize, "text-center border rounded focus:ring-2",
+                  isInvalid(val) ? "bg-red-50 border-red-500 focus:ring-red-500" : "bg-green-50 focus:ring-green-500"
+                )}
+              />
+            ))}
+          </div>
+        ))}
+
+        <div className="flex flex-col gap-2 shrink-0">
+          <button
+            onClick={() => onVectorCountChange(vectors.length + 1)}
+            disabled={!canAddVector}
+            title={rows === cols ? 'Add a right-hand side column' : 'Several right-hand sides need a square system'}
+            className="p-1 border rounded text-green-700 hover:bg-green-50 disabled:opacity-40"
+          >
+            <Plus size={16} />
+          </button>
+          <button
+            onClick={() => onVectorCountChange(vectors.length - 1)}
+            disabled={vectors.length === 1}
+            title="Remove the last right-hand side column"
+            className="p-1 border rounded text-red-700 hover:bg-red-50 disabled:opacity-40"
+          >
+            <Minus size={16} />
+          </button>
         </div>
       </div>
+      {vectors.length > 1 && (
+        <p className="text-xs text-gray-500 mt-1">
+          Solving AX = [b1 … b{vectors.length}] in one pass - only elimination and factorization methods are available. Compare uses b1.
+        </p>
+      )}
     </div>
   );
 };
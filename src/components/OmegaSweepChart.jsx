@@ -0,0 +1,94 @@
+import React from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+
+ChartJS.register(LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
+
+// Iterations-to-converge against ω for an SOR/SSOR sweep, marking the empirical and theoretical optimum
+const OmegaSweepChart = ({ sweep, currentOmega }) => {
+  const { points, bestOmega, theoreticalOmega, jacobiSpectralRadius, symmetric } = sweep;
+  const converged = points.filter(p => p.converged);
+  const maxIterations = Math.max(1, ...points.map(p => p.iterations));
+
+  const datasets = [{
+    label: `${symmetric ? 'SSOR' : 'SOR'} iterations to converge`,
+    data: converged.map(p => ({ x: p.omega, y: p.iterations })),
+    borderColor: 'rgb(79, 70, 229)',
+    backgroundColor: 'rgba(79, 70, 229, 0.5)',
+    tension: 0.1
+  }, {
+    label: 'No convergence',
+    data: points.filter(p => !p.converged).map(p => ({ x: p.omega, y: p.iterations })),
+    borderColor: 'rgb(220, 38, 38)',
+    backgroundColor: 'rgba(220, 38, 38, 0.7)',
+    showLine: false,
+    pointStyle: 'crossRot',
+    pointRadius: 6
+  }];
+
+  if (bestOmega !== null) {
+    const best = points.find(p => p.omega === bestOmega);
+    datasets.push({
+      label: `Empirical optimum ω = ${bestOmega}`,
+      data: [{ x: best.omega, y: best.iterations }],
+      borderColor: 'rgb(22, 163, 74)',
+      backgroundColor: 'rgb(22, 163, 74)',
+      showLine: false,
+      pointRadius: 8
+    });
+  }
+
+  if (theoreticalOmega !== null) {
+    datasets.push({
+      label: `Theoretical ω* = ${theoreticalOmega.toFixed(3)}`,
+      data: [{ x: theoreticalOmega, y: 0 }, { x: theoreticalOmega, y: maxIterations }],
+      borderColor: 'rgb(234, 88, 12)',
+      borderDash: [6, 4],
+      pointRadius: 0
+    });
+  }
+
+  if (currentOmega !== undefined) {
+    const current = points.find(p => p.omega === currentOmega);
+    datasets.push({
+      label: 'Current run',
+      data: current ? [{ x: current.omega, y: current.iterations }] : [],
+      borderColor: 'rgb(250, 204, 21)',
+      backgroundColor: 'rgba(250, 204, 21, 0.8)',
+      showLine: false,
+      pointRadius: 10
+    });
+  }
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    scales: {
+      x: { type: 'linear', title: { display: true, text: 'ω' } },
+      y: { beginAtZero: true, title: { display: true, text: 'Iterations' } }
+    }
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-md mt-4">
+      <h3 className="text-lg font-semibold mb-2">ω Sweep</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Jacobi spectral radius ρ_J = {jacobiSpectralRadius.toFixed(4)}
+        {theoreticalOmega === null && ' · theoretical ω* only shown for consistently ordered (tridiagonal) matrices with ρ_J < 1'}
+      </p>
+      <div className="h-72">
+        <Line options={options} data={{ datasets }} />
+      </div>
+    </div>
+  );
+};
+
+export default OmegaSweepChart;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { Shuffle } from 'lucide-react';
+import { PRESETS } from '../utils/presets';
+import { randomSeed } from '../utils/random';
+
+// Example systems with notes on what they demonstrate; loading one replaces the current system
+const PresetGallery = ({ onLoad }) => {
+  const [sizes, setSizes] = useState(() => Object.fromEntries(PRESETS.filter(p => p.size).map(p => [p.id, p.size.initial])));
+  const [seed, setSeed] = useState(1);
+
+  const handleLoad = (preset) => {
+    const { matrix, vector } = preset.build(sizes[preset.id], seed);
+    onLoad(matrix, [vector]);
+  };
+
+  return (
+    <div className="grid sm:grid-cols-2 gap-3">
+      {PRESETS.map(preset => (
+        <div key={preset.id} className="border rounded p-3 flex flex-col gap-2 text-sm">
+          <div className="flex items-center justify-between gap-2">
+            <span className="font-semibold">{preset.name}</span>
+            <button
+              onClick={() => handleLoad(preset)}
+              className="px-3 py-1 bg-blue-600 text-white rounded text-xs font-semibold hover:bg-blue-700"
+            >
+              Load
+            </button>
+          </div>
+          <p className="text-xs text-gray-600">{preset.note}</p>
+          {(preset.size || preset.seeded) && (
+            <div className="flex items-center gap-2 text-xs">
+              {preset.size && (
+                <label className="flex items-center gap-1">
+                  n =
+                  <input
+                    type="number" min={preset.size.min} max={preset.size.max} step="1"
+                    value={sizes[preset.id]}
+                    onChange={(e) => {
+                      const n = Math.min(preset.size.max, Math.max(preset.size.min, parseInt(e.target.value) || preset.size.min));
+                      setSizes(prev => ({ ...prev, [preset.id]: n }));
+                    }}
+                    className="w-14 border rounded p-1"
+                  />
+                </label>
+              )}
+              {preset.seeded && (
+                <label className="flex items-center gap-1">
+                  seed
+                  <input
+                    type="number" min="0" step="1"
+                    value={seed}
+                    onChange={(e) => setSeed(Math.max(0, parseInt(e.target.value) || 0))}
+                    className="w-24 border rounded p-1"
+                  />
+                  <button onClick={() => setSeed(randomSeed())} title="New random seed" className="p-1 border rounded hover:bg-gray-100">
+                    <Shuffle size={12} />
+                  </button>
+                </label>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PresetGallery;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { Shuffle } from 'lucide-react';
+import { generateSystem, DEFAULT_GENERATOR_OPTIONS, GENERATOR_STRUCTURES } from '../utils/matrixGenerator';
+import { estimateCondition } from '../utils/solverLogic';
+import { randomSeed } from '../utils/random';
+import { MAX_SIZE } from '../utils/matrixIO';
+
+// Optional properties start switched off; their values are kept while unchecked
+const INITIAL_FORM = {
+  ...DEFAULT_GENERATOR_OPTIONS,
+  useCondition: false, condition: 1e6,
+  useBandwidth: false, bandwidth: 1,
+  useDominance: false, dominance: 0.1
+};
+
+// Builds a random A and b = A·x* from the chosen properties and loads them into the grid
+const RandomSystemGenerator = ({ onLoad }) => {
+  const [form, setForm] = useState(INITIAL_FORM);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+  const update = (changes) => setForm(prev => ({ ...prev, ...changes }));
+
+  const handleGenerate = () => {
+    try {
+      const system = generateSystem({
+        size: form.size,
+        structure: form.structure,
+        density: form.density,
+        seed: form.seed,
+        condition: form.useCondition ? form.condition : null,
+        bandwidth: form.useBandwidth ? form.bandwidth : null,
+        dominance: form.useDominance ? form.dominance : null
+      });
+      setError(null);
+      setSummary({ solution: system.solution, density: system.density, condition: estimateCondition(system.matrix) });
+      onLoad(system.matrix.map(row => row.map(String)), [system.vector.map(String)]);
+    } catch (err) {
+      setSummary(null);
+      setError(err.message);
+    }
+  };
+
+  // Checkbox + number input for an optional property
+  const optional = (flag, key, label, props) => (
+    <label className="flex items-center gap-1">
+      <input type="checkbox" checked={form[flag]} onChange={(e) => update({ [flag]: e.target.checked })} />
+      {label}
+      <input
+        type="number" {...props}
+        value={form[key]}
+        disabled={!form[flag]}
+        onChange={(e) => update({ [key]: Number(e.target.value) })}
+        className="w-20 border rounded p-1 disabled:opacity-50"
+      />
+    </label>
+  );
+
+  return (
+    <div className="text-sm space-y-2">
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="flex items-center gap-1">
+          n =
+          <input
+            type="number" min="1" max={MAX_SIZE} step="1"
+            value={form.size}
+            onChange={(e) => update({ size: Math.min(MAX_SIZE, Math.max(1, parseInt(e.target.value) || 1)) })}
+            className="w-14 border rounded p-1"
+          />
+        </label>
+        <select value={form.structure} onChange={(e) => update({ structure: e.target.value })} className="border rounded p-1">
+          {Object.entries(GENERATOR_STRUCTURES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <label className="flex items-center gap-1">
+          density
+          <input
+            type="number" min="0.01" max="1" step="0.05"
+            value={form.density}
+            onChange={(e) => update({ density: Number(e.target.value) })}
+            className="w-16 border rounded p-1"
+          />
+        </label>
+      </div>
+      <div className="flex flex-wrap items-center gap-3">
+        {optional('useCondition', 'condition', 'κ₂ =', { min: 1, step: 'any' })}
+        {optional('useBandwidth', 'bandwidth', 'bandwidth', { min: 0, step: 1 })}
+        {optional('useDominance', 'dominance', 'dominance margin', { min: 0, step: 0.05 })}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-1">
+          seed
+          <input
+            type="number" min="0" step="1"
+            value={form.seed}
+            onChange={(e) => update({ seed: Math.max(0, parseInt(e.target.value) || 0) })}
+            className="w-28 border rounded p-1"
+          />
+        </label>
+        <button onClick={() => update({ seed: randomSeed() })} title="New random seed" className="p-1 border rounded hover:bg-gray-100">
+          <Shuffle size={14} />
+        </button>
+        <button
+          onClick={handleGenerate}
+          className="px-3 py-1 bg-blue-600 text-white rounded font-semibold hover:bg-blue-700"
+        >
+          Generate
+        </button>
+      </div>
+      {error && <p className="p-2 bg-red-50 border border-red-300 rounded text-red-700 text-xs">{error}</p>}
+      {summary && (
+        <p className="text-xs text-gray-600">
+          Density {(summary.density * 100).toFixed(0)}%,
+          κ₁(A) ≈ {summary.condition.one === Infinity ? '∞' : summary.condition.one.toExponential(2)}.
+          b = A·x* with x* = [{summary.solution.join(', ')}].
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default RandomSystemGenerator;
@@ -0,0 +1,68 @@
+import React, { useRef, useState } from 'react';
+import { Upload, Download } from 'lucide-react';
+import { FILE_FORMATS, parseSystemFile, exportSystem } from '../utils/matrixIO';
+
+// Load A and b from a CSV / JSON / MatrixMarket file, or save the current system in one of those formats
+const SystemFileControls = ({ matrix, vectors, onLoad }) => {
+  const fileRef = useRef(null);
+  const [format, setFormat] = useState('csv');
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const isSquare = matrix.length === matrix[0].length;
+  // CSV and MatrixMarket store [A | b] with a square A; JSON also handles rectangular systems
+  const canExport = isSquare || format === 'json';
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow loading the same file again after fixing it
+    if (!file) return;
+    try {
+      const system = parseSystemFile(file.name, await file.text());
+      setError(null);
+      setNotice(system.notice);
+      onLoad(system.matrix, system.vectors);
+    } catch (err) {
+      setNotice(null);
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleExport = () => {
+    const { text, name, type } = exportSystem(matrix, vectors, format);
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <input ref={fileRef} type="file" accept=".csv,.json,.mtx,.txt" onChange={handleFile} className="hidden" />
+        <button
+          onClick={() => fileRef.current.click()}
+          className="flex items-center gap-1 px-3 py-1 border rounded hover:bg-gray-100"
+        >
+          <Upload size={14} /> Load file
+        </button>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} className="border rounded p-1">
+          {Object.entries(FILE_FORMATS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <button
+          onClick={handleExport}
+          disabled={!canExport}
+          title={canExport ? undefined : 'CSV and MatrixMarket files need a square A - use JSON for rectangular systems'}
+          className="flex items-center gap-1 px-3 py-1 border rounded hover:bg-gray-100 disabled:opacity-50"
+        >
+          <Download size={14} /> Save
+        </button>
+      </div>
+      {error && <p className="mt-2 p-2 bg-red-50 border border-red-300 rounded text-red-700 font-mono text-xs">{error}</p>}
+      {notice && <p className="mt-2 text-xs text-gray-600">{notice}</p>}
+    </div>
+  );
+};
+
+export default SystemFileControls;
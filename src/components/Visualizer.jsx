@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { clsx } from 'clsx';
 import { Line } from 'react-chartjs-2';
 import {
@@ -12,12 +12,28 @@ import {
   Legend,
 } from 'chart.js';
 
+import { STATUS_LABELS, TERMINATION_LABELS, OPERATION_PHASES } from '../utils/solverLogic';
+import { formatValue } from '../utils/arithmetic';
+import MatrixHeatmap from './MatrixHeatmap';
+
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
 
-const Visualizer = ({ stepData, isIterative }) => {
+// NaN / Infinity are shown as a dash instead of leaking into the grid; exact fractions as p/q.
+// Small non-zero floats (e.g. the 0.0001 pivot) switch to exponent form instead of rounding to 0.00.
+const formatCell = (val, digits = 2) =>
+  typeof val === 'number' && val !== 0 && Math.abs(val) < 0.5 * 10 ** -digits ? val.toExponential(1) : formatValue(val, digits);
+
+// Matrices with more rows or columns than this are drawn as a heat map unless numbers are requested
+const HEATMAP_SIZE = 12;
+
+const Visualizer = ({ stepData, isIterative, variables }) => {
+  const [showNumbers, setShowNumbers] = useState(false);
   if (!stepData) return <div className="text-gray-400 text-center p-10">Select a method and press Solve</div>;
 
-  const { matrix, vector, xCurrent, description, highlights, errorHistory } = stepData;
+  const { matrix, vector, xCurrent, description, highlights, errorHistory, factors, status, krylov, termination, divider, rhs, operations } = stepData;
+
+  const isLarge = Math.max(matrix.length, matrix[0].length) > HEATMAP_SIZE;
+  const heatmap = isLarge && !showNumbers;
 
   // Chart Data for Iterative Methods
   const chartData = isIterative && errorHistory ? {
@@ -28,7 +44,18 @@ const Visualizer = ({ stepData, isIterative }) => {
       borderColor: 'rgb(255, 99, 132)',
       backgroundColor: 'rgba(255, 99, 132, 0.5)',
       tension: 0.1
-    }]
+    },
+    // Marks the iteration where the run stopped early (divergence, stagnation, ...)
+    ...(termination && !['converged', 'max-iterations'].includes(termination.reason) ? [{
+      label: `${TERMINATION_LABELS[termination.reason]} at iteration ${termination.iteration}`,
+      data: errorHistory.map((val, i) => (i === errorHistory.length - 1 ? val : null)),
+      borderColor: 'rgb(220, 38, 38)',
+      backgroundColor: 'rgb(220, 38, 38)',
+      pointStyle: 'crossRot',
+      pointRadius: 10,
+      pointBorderWidth: 3,
+      showLine: false
+    }] : [])]
   } : null;
 
   return (
@@ -38,58 +65,195 @@ const Visualizer = ({ stepData, isIterative }) => {
         {description}
       </div>
 
+      {/* Running operation count up to this step, split by phase */}
+      {operations && (
+        <div className="text-xs text-gray-700 mb-4 flex flex-wrap items-center gap-2">
+          <span className="font-semibold">Operations so far:</span>
+          <span className="px-2 py-1 bg-indigo-50 border border-indigo-200 rounded font-mono">{operations.mulDiv.toLocaleString()} mult/div</span>
+          <span className="px-2 py-1 bg-indigo-50 border border-indigo-200 rounded font-mono">{operations.addSub.toLocaleString()} add/sub</span>
+          {Object.entries(OPERATION_PHASES).filter(([phase]) => operations.phases[phase]).map(([phase, label]) => (
+            <span key={phase} className="text-gray-500">
+              {label}: <span className="font-mono">{operations.phases[phase].mulDiv.toLocaleString()} × ÷, {operations.phases[phase].addSub.toLocaleString()} + −</span>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {highlights?.dominance && highlights.dominance.violated.length + highlights.dominance.weak.length > 0 && (
+        <div className="text-xs text-gray-600 mb-4 flex flex-wrap gap-4">
+          {highlights.dominance.violated.length > 0 && (
+            <span><span className="inline-block w-3 h-3 bg-red-200 border border-red-400 rounded mr-1 align-middle"></span>
+              |aᵢᵢ| &lt; Σ|aᵢⱼ| (not diagonally dominant): Row {highlights.dominance.violated.join(', ')}</span>
+          )}
+          {highlights.dominance.weak.length > 0 && (
+            <span><span className="inline-block w-3 h-3 bg-amber-200 border border-amber-400 rounded mr-1 align-middle"></span>
+              |aᵢᵢ| = Σ|aᵢⱼ| (only weakly dominant): Row {highlights.dominance.weak.join(', ')}</span>
+          )}
+        </div>
+      )}
+
+      {status && status !== 'solved' && (
+        <div className="bg-red-100 border border-red-300 text-red-800 p-3 rounded mb-4 text-sm font-bold">
+          ⚠ {STATUS_LABELS[status] || status}
+        </div>
+      )}
+
+      {isLarge && (
+        <div className="flex items-center justify-end gap-3 mb-2 text-xs text-gray-600">
+          {heatmap && <span>Blue &gt; 0, red &lt; 0, darker = larger |value| (log scale). Hover a cell to read it.</span>}
+          <button onClick={() => setShowNumbers(!showNumbers)} className="px-2 py-1 border rounded hover:bg-gray-100">
+            {heatmap ? 'Show numbers' : 'Show heat map'}
+          </button>
+        </div>
+      )}
+
       <div className="flex flex-wrap gap-8 justify-center mb-6">
         {/* Matrix Visualization */}
-        <div>
+        <div className="max-w-full">
           <h4 className="text-xs uppercase text-gray-500 mb-2">Augmented Matrix State</h4>
-          <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${matrix.length}, 1fr)` }}>
+          {heatmap ? (
+            <MatrixHeatmap matrix={matrix} highlights={highlights} divider={divider} />
+          ) : (
+          <div className="overflow-auto matrix-scroll max-h-[36rem]">
+          <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${matrix[0].length}, 1fr)` }}>
             {matrix.map((row, r) => (
               row.map((val, c) => {
                 const isHighlighted = highlights?.cells?.some(([hr, hc]) => hr === r && hc === c);
                 const isRowActive = highlights?.rows?.includes(r);
+                const isColActive = highlights?.cols?.includes(c);
+                // Iterative methods: rows breaking (red) or only weakly satisfying (amber) diagonal dominance
+                const breaksDominance = highlights?.dominance?.violated.includes(r);
+                const weakDominance = highlights?.dominance?.weak.includes(r);
                 return (
                   <div key={`${r}-${c}`} className={clsx(
-                    "w-12 h-12 flex items-center justify-center border rounded transition-colors duration-300",
+                    "min-w-12 px-1 h-12 flex items-center justify-center border rounded transition-colors duration-300",
+                    c === divider && "ml-3 border-l-4 border-l-gray-500", // [A | I] separator
                     isHighlighted ? "bg-yellow-200 font-bold border-yellow-400" : 
-                    isRowActive ? "bg-blue-100" : "bg-white"
+                    isRowActive ? "bg-blue-100" :
+                    isColActive ? "bg-purple-50" :
+                    breaksDominance ? (r === c ? "bg-red-200 font-bold border-red-400" : "bg-red-50 border-red-300") :
+                    weakDominance ? (r === c ? "bg-amber-200 font-bold border-amber-400" : "bg-amber-50") : "bg-white"
                   )}>
-                    {val.toFixed(2)}
+                    {formatCell(val)}
                   </div>
                 );
               })
             ))}
           </div>
+          </div>
+          )}
         </div>
 
-        {/* Vector b Visualization */}
-        <div>
+        {/* Vector b Visualization (inverse and determinant modes have no right-hand side) */}
+        {vector && heatmap && <div>
+           <h4 className="text-xs uppercase text-gray-500 mb-2">Vector B</h4>
+           <MatrixHeatmap matrix={vector.map(val => [val])} highlights={{ rows: highlights?.rows }} name="b" />
+        </div>}
+        {vector && !heatmap && <div>
            <h4 className="text-xs uppercase text-gray-500 mb-2">Vector B</h4>
            <div className="flex flex-col gap-1">
              {vector.map((val, r) => (
                <div key={r} className={clsx(
-                 "w-12 h-12 flex items-center justify-center border rounded transition-colors duration-300",
+                 "min-w-12 px-1 h-12 flex items-center justify-center border rounded transition-colors duration-300",
                  highlights?.rows?.includes(r) ? "bg-green-100 border-green-400" : "bg-white"
                )}>
-                 {val.toFixed(2)}
+                 {formatCell(val)}
                </div>
              ))}
            </div>
-        </div>
+        </div>}
+
+        {/* Several right-hand sides: the whole block [b₁ b₂ ...] rides along with the elimination */}
+        {rhs && heatmap && <div>
+           <h4 className="text-xs uppercase text-gray-500 mb-2">Right-Hand Sides b1 … b{rhs[0].length}</h4>
+           <MatrixHeatmap matrix={rhs} highlights={{ rows: highlights?.rows }} name="B" />
+        </div>}
+        {rhs && !heatmap && <div>
+           <h4 className="text-xs uppercase text-gray-500 mb-2">Right-Hand Sides b1 … b{rhs[0].length}</h4>
+           <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${rhs[0].length}, 1fr)` }}>
+             {rhs.map((row, r) => (
+               row.map((val, c) => (
+                 <div key={`${r}-${c}`} className={clsx(
+                   "min-w-12 px-1 h-12 flex items-center justify-center border rounded transition-colors duration-300",
+                   highlights?.rows?.includes(r) && (!highlights.rhsCols || highlights.rhsCols.includes(c)) ? "bg-green-100 border-green-400" : "bg-white"
+                 )}>
+                   {formatCell(val)}
+                 </div>
+               ))
+             ))}
+           </div>
+        </div>}
       </div>
 
+      {/* Factorization Methods: L, U, P ... */}
+      {factors && (
+        <div className="flex flex-wrap gap-8 justify-center mb-6 border-t pt-4">
+          {Object.entries(factors).map(([name, m]) => (
+            <div key={name} className="max-w-full">
+              <h4 className="text-xs uppercase text-gray-500 mb-2">Factor {name}</h4>
+              {heatmap ? (
+                <MatrixHeatmap matrix={m} highlights={{ cells: highlights?.factorCells?.[name] }} name={name} />
+              ) : (
+              <div className="overflow-auto matrix-scroll max-h-[36rem]">
+              <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${m[0].length}, 1fr)` }}>
+                {m.map((row, r) => (
+                  row.map((val, c) => {
+                    const isHighlighted = highlights?.factorCells?.[name]?.some(([hr, hc]) => hr === r && hc === c);
+                    return (
+                      <div key={`${name}-${r}-${c}`} className={clsx(
+                        "min-w-12 px-1 h-12 flex items-center justify-center border rounded text-sm transition-colors duration-300",
+                        isHighlighted ? "bg-yellow-200 font-bold border-yellow-400" : "bg-white"
+                      )}>
+                        {formatCell(val)}
+                      </div>
+                    );
+                  })
+                ))}
+              </div>
+              </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Iterative Specific: Current X Values & Graph */}
       {isIterative && xCurrent && (
         <div className="mt-4 border-t pt-4">
           <div className="mb-4">
             <h4 className="text-sm font-bold mb-2">Current Approximation (x)</h4>
-            <div className="flex gap-2">
+            <div className="flex flex-wrap gap-2">
               {xCurrent.map((val, i) => (
                 <div key={i} className="px-3 py-1 bg-gray-800 text-white rounded text-sm">
-                  x{i+1} = {val.toFixed(5)}
+                  {variables?.[i] ?? `x${i + 1}`} = {formatCell(val, 5)}
                 </div>
               ))}
             </div>
           </div>
+          {krylov && (
+            <div className="mb-4 flex flex-wrap gap-6 text-sm">
+              {Object.entries(krylov.vectors).map(([name, v]) => (
+                <div key={name}>
+                  <h4 className="font-bold mb-1">{name}</h4>
+                  <div className="flex flex-wrap gap-1 font-mono">
+                    {v.map((val, i) => (
+                      <span key={i} className="px-2 py-1 bg-indigo-50 border border-indigo-200 rounded">{formatCell(val, 4)}</span>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {Object.keys(krylov.scalars).length > 0 && (
+                <div>
+                  <h4 className="font-bold mb-1">Scalars</h4>
+                  <div className="flex gap-2 font-mono">
+                    {Object.entries(krylov.scalars).map(([name, val]) => (
+                      <span key={name} className="px-2 py-1 bg-yellow-50 border border-yellow-300 rounded">{name} = {Number.isFinite(val) ? val.toExponential(3) : '—'}</span>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
           <div className="h-64">
              {chartData && <Line options={{ responsive: true, maintainAspectRatio: false }} data={chartData} />}
           </div>
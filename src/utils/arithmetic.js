@@ -0,0 +1,153 @@
+// src/utils/arithmetic.js
+import * as Q from './rational';
+
+/**
+ * Arithmetic contexts used by the direct solvers. Every context has the same shape:
+ * {
+ *   name, exact,
+ *   from(value),                  // number, numeric string or rational -> element
+ *   add, sub, mul, div, neg, abs,
+ *   isZero(a, tol),               // pivot test; exact contexts ignore tol
+ *   isPositive(a, tol),           // a > tol (exact contexts: a > 0)
+ *   greaterAbs(a, b),             // |a| > |b|, used for pivot search
+ *   toNumber(a), format(a, digits), formatSci(a),
+ *   unitRoundoff                  // bound on the relative error of one operation (0 when exact)
+ * }
+ */
+
+// Parses one matrix/vector entry as typed in MatrixInput ("3/4", "-2", "0.5") or an exact rational to a float.
+export const parseEntry = (value) => {
+    if (typeof value === 'number') return value;
+    if (Q.isRational(value)) return Q.toNumber(value);
+    const parsed = Q.parseRational(value);
+    return parsed ? Q.toNumber(parsed) : NaN;
+};
+
+export const floatArithmetic = {
+    name: 'float',
+    exact: false,
+    from: parseEntry,
+    add: (a, b) => a + b,
+    sub: (a, b) => a - b,
+    mul: (a, b) => a * b,
+    div: (a, b) => a / b,
+    neg: (a) => -a,
+    abs: Math.abs,
+    isZero: (a, tol = 0) => Math.abs(a) <= tol,
+    isPositive: (a, tol = 0) => a > tol,
+    greaterAbs: (a, b) => Math.abs(a) > Math.abs(b),
+    toNumber: (a) => a,
+    format: (a, digits = 2) => (Number.isFinite(a) ? a.toFixed(digits) : '—'),
+    formatSci: (a) => (Number.isFinite(a) ? a.toExponential(2) : '—'),
+    unitRoundoff: Number.EPSILON / 2
+};
+
+export const rationalArithmetic = {
+    name: 'rational',
+    exact: true,
+    from: Q.toRational,
+    add: Q.add,
+    sub: Q.sub,
+    mul: Q.mul,
+    div: Q.div,
+    neg: Q.neg,
+    abs: Q.abs,
+    isZero: (a) => Q.isZero(a),
+    isPositive: (a) => a.num > 0n,
+    greaterAbs: (a, b) => Q.compare(Q.abs(a), Q.abs(b)) > 0,
+    toNumber: Q.toNumber,
+    format: (a) => Q.toString(a),
+    formatSci: (a) => Q.toString(a),
+    unitRoundoff: 0
+};
+
+// --- Simulated k-digit decimal floating point ---
+export const ROUNDING_MODES = { round: 'Rounding', chop: 'Chopping' };
+
+// Decimal exponent of x, read from its exponential form so powers of ten are not off by one
+const decimalExponent = (x) => Number(x.toExponential().split('e')[1]);
+
+const roundToDigits = (x, digits) => (Number.isFinite(x) && x !== 0 ? Number(x.toPrecision(digits)) : x);
+
+const chopToDigits = (x, digits) => {
+    if (!Number.isFinite(x) || x === 0) return x;
+    const shift = digits - 1 - decimalExponent(x);
+    // toPrecision(15) removes binary noise such as 99.99999999 before truncating
+    const truncated = Math.trunc(Number((x * 10 ** shift).toPrecision(15)));
+    return roundToDigits(truncated / 10 ** shift, digits);
+};
+
+/**
+ * Float context that stores every input and every operation result with only `digits`
+ * significant decimal digits, either rounded to nearest or chopped (truncated toward zero).
+ */
+export const createPrecisionArithmetic = (digits, mode = 'round') => {
+    const fl = mode === 'chop' ? (x) => chopToDigits(x, digits) : (x) => roundToDigits(x, digits);
+    return {
+        ...floatArithmetic,
+        name: `${mode}-${digits}`,
+        digits,
+        mode,
+        from: (value) => fl(parseEntry(value)),
+        add: (a, b) => fl(a + b),
+        sub: (a, b) => fl(a - b),
+        mul: (a, b) => fl(a * b),
+        div: (a, b) => fl(a / b),
+        format: (a) => (Number.isFinite(a) ? a.toPrecision(digits) : '—'),
+        unitRoundoff: (mode === 'chop' ? 1 : 0.5) * 10 ** (1 - digits)
+    };
+};
+
+// Context for an arithmetic mode of the UI: 'float' | 'exact' | 'round' | 'chop' (digits for the last two).
+// Contexts hold functions, so the solver worker receives the mode and builds its own.
+export const arithmeticForMode = (mode, digits) => (
+    mode === 'exact' ? rationalArithmetic
+        : mode in ROUNDING_MODES ? createPrecisionArithmetic(digits, mode)
+        : floatArithmetic
+);
+
+// Formats a value that may be either a float or an exact rational (Visualizer cells, solution panel).
+export const formatValue = (value, digits = 2) =>
+    Q.isRational(value) ? Q.toString(value) : floatArithmetic.format(value, digits);
+
+// --- Operation counting ---
+/**
+ * Wraps a context so that every operation is tallied in `counts`:
+ * { addSub, mulDiv } for additions/subtractions and multiplications/divisions.
+ * Results are unchanged; negation, comparisons and conversions are not counted.
+ * After setPhase(name) operations are also tallied in `phases[name]` (same shape), so a solver can
+ * split its work into forward elimination, back substitution, iterations, ...
+ * tally(addSub, mulDiv) adds operations done in plain floats outside the context, and snapshot()
+ * returns a copy of the totals so far as { addSub, mulDiv, phases }.
+ */
+export const createCountingArithmetic = (F = floatArithmetic) => {
+    const counts = { addSub: 0, mulDiv: 0 };
+    const phases = {};
+    let phase = null;
+    const tally = (addSub, mulDiv) => {
+        counts.addSub += addSub;
+        counts.mulDiv += mulDiv;
+        if (phase) {
+            phases[phase].addSub += addSub;
+            phases[phase].mulDiv += mulDiv;
+        }
+    };
+    return {
+        ...F,
+        counts,
+        phases,
+        tally,
+        setPhase: (name) => {
+            phase = name;
+            phases[name] ??= { addSub: 0, mulDiv: 0 };
+        },
+        snapshot: () => ({
+            ...counts,
+            phases: Object.fromEntries(Object.entries(phases).map(([name, c]) => [name, { ...c }]))
+        }),
+        add: (a, b) => { tally(1, 0); return F.add(a, b); },
+        sub: (a, b) => { tally(1, 0); return F.sub(a, b); },
+        mul: (a, b) => { tally(0, 1); return F.mul(a, b); },
+        div: (a, b) => { tally(0, 1); return F.div(a, b); }
+    };
+};
@@ -0,0 +1,111 @@
+// src/utils/benchmark.js
+import { COMPARED_METHODS, relativeError, backwardError } from './compareAlgorithms';
+import { generateSystem } from './matrixGenerator';
+import { floatArithmetic } from './arithmetic';
+import { PIVOT_TOLERANCE } from './solverLogic';
+
+/**
+ * Batch benchmark: runs every method of the comparison over a family of generated systems
+ * (increasing n or increasing target κ) in float64 and records one row per system and method:
+ * {
+ *   value, size, condition,       // the family parameter and the system it produced
+ *   method, name, type,
+ *   time,                         // wall-clock milliseconds of the solver call, step recording included
+ *   flops,                        // additions/subtractions plus multiplications/divisions
+ *   backwardError,                // ‖b - Ax‖∞ / (‖A‖∞‖x‖∞ + ‖b‖∞)
+ *   error,                        // ‖x - x*‖∞ / ‖x*‖∞ against the generator's exact solution
+ *   iterations, convergenceFactor, // iterative methods: average reduction of the stopping measure per iteration
+ *   status                        // 'solved' / 'singular' or the termination reason
+ * }
+ * Every solver counts its own operations, so the timed run includes the counting.
+ */
+
+export const BENCHMARK_FAMILIES = {
+    size: 'Increasing n',
+    condition: 'Increasing κ'
+};
+
+export const DEFAULT_BENCHMARK = {
+    family: 'size',
+    values: [5, 10, 20, 30, 40, 50],
+    size: 10,           // n of every system in the κ family
+    condition: null,    // target κ of every system in the n family (null = random entries)
+    structure: 'spd',
+    seed: 1
+};
+
+// (e_k / e_1)^(1/(k-1)) over the stopping measures of an iterative run
+const convergenceFactor = (result) => {
+    const errors = result.steps[result.steps.length - 1].errorHistory ?? [];
+    const first = errors[0], last = errors[errors.length - 1];
+    if (errors.length < 2 || !(first > 0) || !(last > 0) || !Number.isFinite(last)) return null;
+    return (last / first) ** (1 / (errors.length - 1));
+};
+
+const systemOptions = (config, value) => ({
+    size: config.family === 'size' ? value : config.size,
+    condition: config.family === 'condition' ? value : config.condition,
+    structure: config.structure,
+    seed: config.seed
+});
+
+// Lets the solver worker read a 'cancel' message between runs
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const runMethod = (key, system, settings, pivotTolerance) => {
+    const method = COMPARED_METHODS[key];
+    const { matrix, vector } = system;
+    const start = performance.now();
+    const result = method.run(matrix, vector, floatArithmetic, settings, pivotTolerance);
+    const time = performance.now() - start;
+
+    const iterations = method.type === 'iterative' ? result.termination.iteration : null;
+    const { operations } = result;
+
+    const solution = result.solution ? result.solution.map(Number) : null;
+    return {
+        method: key,
+        name: method.name,
+        type: method.type,
+        time,
+        flops: operations.addSub + operations.mulDiv,
+        backwardError: backwardError(matrix, vector, solution),
+        error: relativeError(solution, system.solution),
+        iterations,
+        convergenceFactor: method.type === 'iterative' ? convergenceFactor(result) : null,
+        status: method.type === 'iterative' ? result.termination.reason : result.status
+    };
+};
+
+/**
+ * Runs the benchmark described by `config` (see DEFAULT_BENCHMARK); the solver worker runs it as a
+ * 'benchmark' job. Iteration settings apply to every iterative method; x⁰ is always zero because
+ * n varies. The direct methods use pivotTolerance, as in the comparison. Yields after every run and reports { done, total, run } to onProgress. When `signal` is aborted the rows finished
+ * so far are returned with cancelled = true.
+ * Resolves to { config, runs, cancelled }.
+ */
+export const runBenchmark = async (config, settings = {}, pivotTolerance = PIVOT_TOLERANCE, { onProgress, signal } = {}) => {
+    config = { ...DEFAULT_BENCHMARK, ...config };
+    if (config.values.length === 0) throw new Error('Enter at least one value to benchmark');
+    settings = { ...settings, x0: null };
+    const methods = Object.keys(COMPARED_METHODS);
+    const total = config.values.length * methods.length;
+    const runs = [];
+
+    for (const value of config.values) {
+        const system = generateSystem(systemOptions(config, value));
+        for (const key of methods) {
+            if (signal?.aborted) return { config, runs, cancelled: true };
+            const run = {
+                value,
+                size: system.options.size,
+                condition: system.options.condition,
+                ...runMethod(key, system, settings, pivotTolerance)
+            };
+            runs.push(run);
+            onProgress?.({ done: runs.length, total, run });
+            await yieldToEventLoop();
+        }
+    }
+    return { config, runs, cancelled: false };
+};
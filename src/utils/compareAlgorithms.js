@@ -1,16 +1,127 @@
 // src/utils/compareAlgorithms.js
-import { solveGaussElimination, solveGaussEliminationWithPivoting, solveGaussJordan, solveJacobi, solveGaussSeidel } from './solverLogic';
+import { solveGaussElimination, solveGaussEliminationWithPivoting, solveGaussJordan, solveLU, solveJacobi, solveGaussSeidel, solveCG, solvePCG, solveGMRES, solveLeastSquaresQR, solveNormalEquations, norm2, computeDiagnostics, estimateCondition, describePrediction, checkSPD, STATUS_LABELS, PIVOT_TOLERANCE } from './solverLogic';
+import { floatArithmetic } from './arithmetic';
+import { generateSystem } from './matrixGenerator';
+
+// Relative forward error ‖x - x_ref‖∞ / ‖x_ref‖∞ (absolute when x_ref = 0); null if either is missing
+export const relativeError = (x, reference) => {
+    if (!x || !reference) return null;
+    let diff = 0, scale = 0;
+    for (let i = 0; i < reference.length; i++) {
+        diff = Math.max(diff, Math.abs(x[i] - reference[i]));
+        scale = Math.max(scale, Math.abs(reference[i]));
+    }
+    return scale > 0 ? diff / scale : diff;
+};
+
+// Normwise backward error ‖b - Ax‖∞ / (‖A‖∞‖x‖∞ + ‖b‖∞): the smallest relative change to A and b
+// that makes x exact. Null without a solution.
+export const backwardError = (matrix, vector, x) => {
+    if (!x) return null;
+    const infNorm = (v) => v.reduce((max, a) => Math.max(max, Math.abs(a)), 0);
+    const residual = matrix.map((row, i) => vector[i] - row.reduce((sum, a, j) => sum + a * x[j], 0));
+    const scale = Math.max(...matrix.map(row => row.reduce((sum, a) => sum + Math.abs(a), 0))) * infNorm(x) + infNorm(vector);
+    return scale > 0 ? infNorm(residual) / scale : 0;
+};
+
+// Fraction of the -log10(u) digits available at unit roundoff u that a relative error leaves intact
+const digitsFraction = (error, u) => Math.min(1, Math.max(0, -Math.log10(Math.max(error, u)) / -Math.log10(u)));
+
+// Element growth max|a⁽ᵏ⁾ᵢⱼ| / max|aᵢⱼ| over every intermediate matrix (and U factor) of an elimination
+const growthFactor = (matrix, result, F) => {
+    const maxAbs = (M) => M.reduce((max, row) => row.reduce((m, a) => Math.max(m, Math.abs(F.toNumber(a))), max), 0);
+    const original = maxAbs(matrix);
+    if (original === 0) return 1;
+    const largest = result.steps.reduce((max, step) => Math.max(max, maxAbs(step.matrix), step.factors?.U ? maxAbs(step.factors.U) : 0), original);
+    return largest / original;
+};
+
+// Methods run by the comparison and the benchmark as run(A, b, F, settings, pivotTolerance).
+// `arithmetic` marks the ones that compute in the context F; the Krylov methods always run in float64.
+export const GMRES_RESTART = 10;
+export const COMPARED_METHODS = {
+    gauss: { name: 'Gauss Elimination', type: 'direct', arithmetic: true, run: (A, b, F, settings, pivotTolerance = PIVOT_TOLERANCE) => solveGaussElimination(A, b, pivotTolerance, F) },
+    pivoting: { name: 'Gauss with Pivoting', type: 'direct', arithmetic: true, run: (A, b, F, settings, pivotTolerance = PIVOT_TOLERANCE) => solveGaussEliminationWithPivoting(A, b, pivotTolerance, F) },
+    gaussJordan: { name: 'Gauss-Jordan', type: 'direct', arithmetic: true, run: (A, b, F, settings, pivotTolerance = PIVOT_TOLERANCE) => solveGaussJordan(A, b, pivotTolerance, F) },
+    lu: { name: 'LU Decomposition', type: 'direct', arithmetic: true, run: (A, b, F, settings, pivotTolerance = PIVOT_TOLERANCE) => solveLU(A, b, 'doolittle', pivotTolerance, F) },
+    jacobi: { name: 'Jacobi Iteration', type: 'iterative', arithmetic: true, run: (A, b, F, settings) => solveJacobi(A, b, settings, F) },
+    seidel: { name: 'Gauss-Seidel', type: 'iterative', arithmetic: true, run: (A, b, F, settings) => solveGaussSeidel(A, b, settings, F) },
+    cg: { name: 'Conjugate Gradient', type: 'iterative', arithmetic: false, run: (A, b, F, settings) => solveCG(A, b, settings) },
+    pcg: { name: 'Jacobi-Preconditioned CG', type: 'iterative', arithmetic: false, run: (A, b, F, settings) => solvePCG(A, b, 'jacobi', settings) },
+    gmres: { name: 'GMRES(m)', type: 'iterative', arithmetic: false, run: (A, b, F, settings) => solveGMRES(A, b, GMRES_RESTART, settings) }
+};
+
+// GMRES iteration j of a restart cycle (Arnoldi on j + 1 basis vectors, j + 1 rotations, x = x₀ + V y)
+const gmresIteration = {
+    mulDiv: (n, j) => n * n + 3 * n * (j + 1) + 2 * n + 5 * j + 7 + (j * (j + 1)) / 2,
+    addSub: (n, j) => n * n + 3 * n * (j + 1) + (j * (j + 1)) / 2 + j - 1
+};
+// Average over the iterations actually run, whose positions in the cycle are 0, 1, ..., m - 1, 0, ...
+const gmresAverage = (count) => (n, { iterations }) => {
+    const m = Math.min(GMRES_RESTART, n);
+    const total = Array.from({ length: iterations }, (_, t) => gmresIteration[count](n, t % m)).reduce((a, b) => a + b, 0);
+    return iterations > 0 ? total / iterations : gmresIteration[count](n, 0);
+};
+const gmresCycles = ({ iterations }, n) => Math.max(1, Math.ceil(iterations / Math.min(GMRES_RESTART, n)));
+
+/**
+ * Textbook operation counts of the compared methods for one right-hand side, per phase (see
+ * OPERATION_PHASES): { phase, perIteration, mulDiv: [formula, value], addSub: [formula, value] },
+ * where value(n, { iterations }) evaluates the formula. The solvers skip trivial operations
+ * (0 + t, division by a unit diagonal, entries zeroed by construction), so the counts of a direct
+ * method match these exactly. Iterative phases give the cost of one iteration; the last CG
+ * iteration skips the new search direction, so the measured average is slightly lower.
+ */
+export const OPERATION_FORMULAS = {
+    gauss: [
+        { phase: 'elimination', mulDiv: ['(2n³ + 3n² − 5n)/6', n => (2 * n ** 3 + 3 * n * n - 5 * n) / 6], addSub: ['(n³ − n)/3', n => (n ** 3 - n) / 3] },
+        { phase: 'backSubstitution', mulDiv: ['(n² + n)/2', n => (n * n + n) / 2], addSub: ['(n² − n)/2', n => (n * n - n) / 2] }
+    ],
+    gaussJordan: [
+        { phase: 'normalization', mulDiv: ['(n² + n)/2', n => (n * n + n) / 2], addSub: ['0', () => 0] },
+        { phase: 'elimination', mulDiv: ['(n³ − n)/2', n => (n ** 3 - n) / 2], addSub: ['(n³ − n)/2', n => (n ** 3 - n) / 2] }
+    ],
+    lu: [
+        { phase: 'factorization', mulDiv: ['(n³ − n)/3', n => (n ** 3 - n) / 3], addSub: ['(2n³ − 3n² + n)/6', n => (2 * n ** 3 - 3 * n * n + n) / 6] },
+        { phase: 'forwardSubstitution', mulDiv: ['(n² − n)/2', n => (n * n - n) / 2], addSub: ['(n² − n)/2', n => (n * n - n) / 2] },
+        { phase: 'backSubstitution', mulDiv: ['(n² + n)/2', n => (n * n + n) / 2], addSub: ['(n² − n)/2', n => (n * n - n) / 2] }
+    ],
+    jacobi: [
+        { phase: 'iteration', perIteration: true, mulDiv: ['n²', n => n * n], addSub: ['n² − n', n => n * n - n] }
+    ],
+    cg: [
+        { phase: 'setup', mulDiv: ['n² + n', n => n * n + n], addSub: ['n² + n − 1', n => n * n + n - 1] },
+        { phase: 'iteration', perIteration: true, mulDiv: ['n² + 5n + 2', n => n * n + 5 * n + 2], addSub: ['n² + 4n − 2', n => n * n + 4 * n - 2] }
+    ],
+    pcg: [
+        { phase: 'setup', mulDiv: ['n² + 2n', n => n * n + 2 * n], addSub: ['n² + n − 1', n => n * n + n - 1] },
+        { phase: 'iteration', perIteration: true, mulDiv: ['n² + 6n + 2', n => n * n + 6 * n + 2], addSub: ['n² + 4n − 2', n => n * n + 4 * n - 2] }
+    ],
+    gmres: [
+        { phase: 'setup', mulDiv: ['n² + 2n per restart', (n, run) => (n * n + 2 * n) * gmresCycles(run, n)], addSub: ['n² + n − 1 per restart', (n, run) => (n * n + n - 1) * gmresCycles(run, n)] },
+        { phase: 'iteration', perIteration: true, mulDiv: ['n² + 3n(j+1) + 2n + j(j+1)/2 + 5j + 7', gmresAverage('mulDiv')], addSub: ['n² + 3n(j+1) + j(j+1)/2 + j − 1', gmresAverage('addSub')] }
+    ]
+};
+OPERATION_FORMULAS.pivoting = OPERATION_FORMULAS.gauss;
+OPERATION_FORMULAS.seidel = OPERATION_FORMULAS.jacobi;
 
 // --- COMPARISON FUNCTION: Run all methods and compare ---
-export const compareAllMethods = (matrix, vector) => {
+// Elimination, LU, Jacobi and Gauss-Seidel run in the float context F (float64 or simulated k-digit
+// precision); the Krylov methods always run in float64. Every solution is compared against the
+// float64 pivoting solution. All iterative methods share the iteration settings (x⁰, tolerance,
+// maxIter, stopping criterion), so a comparison can be reproduced with the single-method runs.
+// Methods are ranked by measured flops, backward error and element growth (see scoreMethods),
+// and the recommendation text is built from the properties of A (see describeMatrix).
+// onProgress({ done, total }) is called after each method has run.
+export const compareAllMethods = (matrix, vector, F = floatArithmetic, settings = {}, pivotTolerance = PIVOT_TOLERANCE, onProgress = null) => {
     const results = {};
+    const methods = Object.entries(COMPARED_METHODS);
     
-    // Run all methods
-    results.gauss = solveGaussElimination(matrix, vector);
-    results.pivoting = solveGaussEliminationWithPivoting(matrix, vector);
-    results.gaussJordan = solveGaussJordan(matrix, vector);
-    results.jacobi = solveJacobi(matrix, vector);
-    results.seidel = solveGaussSeidel(matrix, vector);
+    // Run all methods; each result carries its operation counts
+    for (const [key, method] of methods) {
+        results[key] = method.run(matrix, vector, F, settings, pivotTolerance);
+        onProgress?.({ done: Object.keys(results).length, total: methods.length });
+    }
     
     // Calculate metrics for each method
     const metrics = {};
@@ -22,8 +133,8 @@ export const compareAllMethods = (matrix, vector) => {
         type: "direct",
         steps: results.gauss.steps.length,
         solution: results.gauss.solution,
+        status: results.gauss.status,
         timeComplexity: "O(n³)",
-        efficiency: 1.0,
         description: "Basic elimination without pivoting"
     };
     
@@ -33,8 +144,8 @@ export const compareAllMethods = (matrix, vector) => {
         type: "direct",
         steps: results.pivoting.steps.length,
         solution: results.pivoting.solution,
+        status: results.pivoting.status,
         timeComplexity: "O(n³)",
-        efficiency: 0.95,
         advantage: "Better numerical stability",
         description: "Elimination with row pivoting for improved stability"
     };
@@ -45,12 +156,24 @@ export const compareAllMethods = (matrix, vector) => {
         type: "direct",
         steps: results.gaussJordan.steps.length,
         solution: results.gaussJordan.solution,
+        status: results.gaussJordan.status,
         timeComplexity: "O(n³)",
-        efficiency: 0.85,
         advantage: "Finds RREF, useful for matrix inverse",
         description: "Complete elimination to reduced row echelon form"
     };
     
+    metrics.lu = {
+        key: 'lu',
+        name: "LU Decomposition",
+        type: "direct",
+        steps: results.lu.steps.length,
+        solution: results.lu.solution,
+        status: results.lu.status,
+        timeComplexity: "O(n³) once, O(n²) per extra b",
+        advantage: "Reusable factors for multiple right-hand sides",
+        description: "Factor PA = LU once, then forward/back substitution"
+    };
+    
     metrics.jacobi = {
         key: 'jacobi',
         name: "Jacobi Iteration",
@@ -58,8 +181,9 @@ export const compareAllMethods = (matrix, vector) => {
         steps: results.jacobi.steps.length,
         solution: results.jacobi.solution,
         converged: results.jacobi.converged,
+        termination: results.jacobi.termination,
+        prediction: results.jacobi.analysis.jacobi,
         timeComplexity: "O(n²) per iteration",
-        efficiency: results.jacobi.converged ? 0.7 : 0.0,
         advantage: "Easy parallelization",
         description: "Iterative method using Jacobi approach"
     };
@@ -71,85 +195,323 @@ export const compareAllMethods = (matrix, vector) => {
         steps: results.seidel.steps.length,
         solution: results.seidel.solution,
         converged: results.seidel.converged,
+        termination: results.seidel.termination,
+        prediction: results.seidel.analysis.seidel,
         timeComplexity: "O(n²) per iteration",
-        efficiency: results.seidel.converged ? 0.8 : 0.0,
         advantage: "Faster convergence than Jacobi",
         description: "Iterative method with improved convergence"
     };
     
-    // Determine best method
-    let bestMethod = null;
-    let bestScore = -1;
-    let bestReason = "";
-    
-    // Score direct methods (prefer fewer steps)
-    const directMethods = ['gauss', 'pivoting', 'gaussJordan'];
-    for (let m of directMethods) {
-        const score = 1000 / (metrics[m].steps + 1);
-        if (score > bestScore) {
-            bestScore = score;
-            bestMethod = m;
-        }
-    }
+    metrics.cg = {
+        key: 'cg',
+        name: "Conjugate Gradient",
+        type: "iterative",
+        steps: results.cg.steps.length,
+        solution: results.cg.solution,
+        converged: results.cg.converged,
+        termination: results.cg.termination,
+        timeComplexity: "O(n²) per iteration, ≤ n iterations",
+        advantage: "Optimal Krylov method for SPD matrices",
+        description: "Minimizes the A-norm error over a growing Krylov subspace"
+    };
     
-    // Compare with iterative methods (prefer convergence and fewer steps)
-    const iterativeMethods = ['jacobi', 'seidel'];
-    for (let m of iterativeMethods) {
-        let score = 0;
-        if (metrics[m].converged) {
-            score = 500 / (metrics[m].steps + 1);
-        }
-        if (score > bestScore) {
-            bestScore = score;
-            bestMethod = m;
-        }
+    metrics.pcg = {
+        key: 'pcg',
+        name: "Jacobi-Preconditioned CG",
+        type: "iterative",
+        steps: results.pcg.steps.length,
+        solution: results.pcg.solution,
+        converged: results.pcg.converged,
+        termination: results.pcg.termination,
+        timeComplexity: "O(n²) per iteration",
+        advantage: "Fewer iterations on badly scaled SPD systems",
+        description: "Conjugate Gradient applied with the diagonal preconditioner M = D"
+    };
+    
+    metrics.gmres = {
+        key: 'gmres',
+        name: "GMRES(m)",
+        type: "iterative",
+        steps: results.gmres.steps.length,
+        solution: results.gmres.solution,
+        converged: results.gmres.converged,
+        termination: results.gmres.termination,
+        timeComplexity: "O(n²) per iteration + O(nm) orthogonalization",
+        advantage: "Works for nonsymmetric matrices",
+        description: "Minimizes the residual over the Krylov subspace, restarting every m iterations"
+    };
+    
+    // Forward error against the float64 reference, for the table
+    const reference = F === floatArithmetic ? results.pivoting : solveGaussEliminationWithPivoting(matrix, vector);
+    for (const m of ['cg', 'pcg', 'gmres']) {
+        metrics[m].float64Only = Boolean(F.digits);
     }
+    for (const m of Object.keys(metrics)) {
+        metrics[m].diagnostics = computeDiagnostics(matrix, vector, metrics[m].solution);
+        metrics[m].error = reference.status === 'solved' ? relativeError(metrics[m].solution, reference.solution) : null;
+        metrics[m].operations = results[m].operations;
+        metrics[m].flops = results[m].operations.addSub + results[m].operations.mulDiv;
+        metrics[m].iterations = results[m].termination?.iteration ?? null;
+        metrics[m].backwardError = backwardError(matrix, vector, metrics[m].solution?.map(Number));
+        if (metrics[m].type === 'direct') metrics[m].growthFactor = growthFactor(matrix, results[m], F);
+    }
+    scoreMethods(metrics, F);
     
-    // Get recommendation reason
-    bestReason = getReason(bestMethod, metrics);
+    // Best method: highest score; when every method failed, pivoting's status explains why
+    let bestMethod = getRanking(metrics).find(metric => metric.score > 0)?.key ?? 'pivoting';
+    const properties = describeMatrix(matrix, results.jacobi.analysis);
+    let bestReason = getReason(bestMethod, metrics, results.jacobi.analysis, properties);
+    if (F.digits && metrics.gauss.error !== null && metrics.pivoting.error !== null) {
+        bestReason += ` In ${F.digits}-digit ${F.mode === 'chop' ? 'chopped' : 'rounded'} arithmetic the error vs float64 is ` +
+            `${metrics.gauss.error.toExponential(1)} without pivoting and ${metrics.pivoting.error.toExponential(1)} with pivoting.`;
+    }
     
     // Overall recommendation logic
     let recommendation = {
         bestMethod: bestMethod,
         reason: bestReason,
         allMetrics: metrics,
-        results: results
+        results: results,
+        arithmetic: F.name,
+        condition: properties.condition,
+        properties
     };
     
     return recommendation;
 };
 
-// Helper function to get recommendation reason
-const getReason = (methodKey, metrics) => {
-    if (!methodKey) return "Unable to determine best method.";
-    
-    const method = metrics[methodKey];
-    
-    if (method.type === 'direct') {
-        if (methodKey === 'gauss') {
-            return "✓ Best for well-conditioned systems. Simple and fastest.";
-        } else if (methodKey === 'pivoting') {
-            return "✓ RECOMMENDED! Better stability with minimal overhead.";
-        } else if (methodKey === 'gaussJordan') {
-            return "✓ Good for finding inverse or RREF. More operations required.";
+// --- RANDOM BATCHES: compareAllMethods on generated systems ---
+// Each entry of optionsList is passed to generateSystem; since x* is known, every method also gets
+// its true forward error ‖x - x*‖∞ / ‖x*‖∞ as `trueError`.
+export const compareGeneratedSystems = (optionsList, F = floatArithmetic, settings = {}) => optionsList.map(options => {
+    const system = generateSystem(options);
+    const comparison = compareAllMethods(system.matrix, system.vector, F, settings);
+    for (const metric of Object.values(comparison.allMetrics)) {
+        metric.trueError = relativeError(metric.solution, system.solution);
+    }
+    return { system, comparison };
+});
+
+// --- LEAST SQUARES COMPARISON: Normal equations vs QR on the same overdetermined data ---
+// Accuracy is measured by how well each solution satisfies the optimality condition Aᵀ(b - Ax) = 0,
+// relative to ‖A‖²‖x‖ + ‖A‖‖b‖, and expressed as correct digits (0 to 16).
+const frobenius = (A) => Math.sqrt(A.reduce((sum, row) => sum + row.reduce((s, a) => s + a * a, 0), 0));
+
+const accuracyDigits = (matrix, vector, result) => {
+    if (!result.solution) return 0;
+    const normA = frobenius(matrix);
+    const scale = normA * normA * norm2(result.solution) + normA * norm2(vector);
+    const relative = scale > 0 ? result.optimalityResidual / scale : 0;
+    return Math.min(16, Math.max(0, -Math.log10(Math.max(relative, 1e-16))));
+};
+
+// Methods of the least-squares comparison as run(A, b, pivotTolerance)
+const LEAST_SQUARES_METHODS = {
+    normal: (A, b, pivotTolerance) => solveNormalEquations(A, b, pivotTolerance),
+    householder: (A, b, pivotTolerance) => solveLeastSquaresQR(A, b, 'householder', pivotTolerance),
+    givens: (A, b, pivotTolerance) => solveLeastSquaresQR(A, b, 'givens', pivotTolerance)
+};
+
+// Compares the least-squares methods in float64; onProgress({ done, total }) after each one, as in compareAllMethods
+export const compareLeastSquares = (matrix, vector, pivotTolerance = PIVOT_TOLERANCE, onProgress = null) => {
+    const results = {};
+    const methods = Object.entries(LEAST_SQUARES_METHODS);
+    for (const [key, run] of methods) {
+        results[key] = run(matrix, vector, pivotTolerance);
+        onProgress?.({ done: Object.keys(results).length, total: methods.length });
+    }
+
+    const info = {
+        normal: {
+            name: "Normal Equations",
+            timeComplexity: "O(mn² + n³/3)",
+            advantage: "Cheapest: only an n×n Cholesky solve",
+            description: "Solves AᵀAx = Aᵀb; squares the condition number"
+        },
+        householder: {
+            name: "QR (Householder)",
+            timeComplexity: "O(2mn² - 2n³/3)",
+            advantage: "Backward stable, one reflection per column",
+            description: "Orthogonal reflections reduce A to R"
+        },
+        givens: {
+            name: "QR (Givens)",
+            timeComplexity: "O(3mn² - n³)",
+            advantage: "Zeroes one entry at a time, good for sparse rows",
+            description: "Plane rotations reduce A to R"
+        }
+    };
+
+    const metrics = {};
+    for (const key of Object.keys(results)) {
+        const result = results[key];
+        const digits = accuracyDigits(matrix, vector, result);
+        metrics[key] = {
+            key,
+            ...info[key],
+            type: "direct",
+            leastSquares: true,
+            steps: result.steps.length,
+            solution: result.solution,
+            status: result.status,
+            residualNorm: result.residualNorm,
+            optimalityResidual: result.optimalityResidual,
+            accuracyDigits: digits,
+            operations: result.operations,
+            flops: result.operations.addSub + result.operations.mulDiv,
+            diagnostics: computeDiagnostics(matrix, vector, result.solution),
+            score: result.status === 'solved' ? digits / 16 : 0
+        };
+    }
+
+    // Most accurate method wins; ties go to the backward-stable QR variants
+    let bestMethod = null;
+    for (const key of ['householder', 'givens', 'normal']) {
+        if (metrics[key].status !== 'solved') continue;
+        if (!bestMethod || metrics[key].score > metrics[bestMethod].score) {
+            bestMethod = key;
         }
+    }
+
+    let reason;
+    if (!bestMethod) {
+        reason = "✗ Columns of A are linearly dependent; no unique least-squares solution.";
     } else {
-        if (metrics[methodKey].converged) {
-            if (methodKey === 'seidel') {
-                return `✓ RECOMMENDED for iterative! Converged in ${metrics[methodKey].steps} steps. Faster convergence.`;
-            } else {
-                return `✓ Converged in ${metrics[methodKey].steps} steps. Good for sparse systems.`;
-            }
-        } else {
-            return "✗ Did not converge. Try direct methods or check diagonal dominance.";
+        const best = metrics[bestMethod];
+        const normal = metrics.normal;
+        reason = `✓ ‖Ax - b‖₂ = ${best.residualNorm.toExponential(3)} with ≈${best.accuracyDigits.toFixed(1)} correct digits. ` +
+            (normal.status === 'solved'
+                ? `Normal equations reach ≈${normal.accuracyDigits.toFixed(1)} digits.`
+                : `Normal equations failed: ${STATUS_LABELS[normal.status]} (AᵀA lost positive definiteness in rounding).`);
+    }
+
+    return {
+        bestMethod: bestMethod || 'householder',
+        reason,
+        allMetrics: metrics,
+        results
+    };
+};
+
+// --- SCORING: measured cost, accuracy and stability ---
+// Every method that succeeded gets score = accuracy · stability · cost, each factor in [0, 1]:
+//   accuracy  = digits of the backward error, out of the -log10(u) available in its arithmetic
+//   stability = 1 - log10(growth factor) / -log10(u) for elimination (the digits element growth
+//               can cost), 1 for an iteration that converged
+//   cost      = the fewest flops of any successful method / this method's flops
+// Failed methods (no unique solution, no convergence) and the float64-only Krylov methods under
+// simulated precision score 0. The factors are kept in `scoreParts`.
+const scoreMethods = (metrics, F) => {
+    const succeeded = (metric) => !metric.float64Only && metric.backwardError !== null &&
+        (metric.type === 'direct' ? metric.status === 'solved' : metric.converged);
+    const candidates = Object.values(metrics).filter(succeeded);
+    const fewestFlops = Math.min(...candidates.map(metric => metric.flops));
+    for (const metric of Object.values(metrics)) {
+        if (!succeeded(metric)) {
+            metric.scoreParts = null;
+            metric.score = 0;
+            continue;
         }
+        const u = COMPARED_METHODS[metric.key].arithmetic ? Math.max(F.unitRoundoff, floatArithmetic.unitRoundoff) : floatArithmetic.unitRoundoff;
+        const accuracy = digitsFraction(metric.backwardError, u);
+        const stability = metric.type === 'direct' ? Math.max(0, 1 - Math.log10(metric.growthFactor) / -Math.log10(u)) : 1;
+        const cost = metric.flops > 0 ? fewestFlops / metric.flops : 1;
+        metric.scoreParts = { accuracy, stability, cost };
+        metric.score = accuracy * stability * cost;
     }
 };
 
-// Get efficiency ranking
+// --- MATRIX PROPERTIES for the recommendation ---
+const CONDITION_CLASSES = [[3, 'well-conditioned'], [8, 'moderately ill-conditioned'], [Infinity, 'ill-conditioned']];
+const SPARSE_DENSITY = 0.5;
+
+// { n, symmetric, spd, dominance, condition, digitsLost, density, bandwidth } of a square A
+const describeMatrix = (matrix, analysis) => {
+    const n = matrix.length;
+    const spd = checkSPD(matrix);
+    let nonzeros = 0, bandwidth = 0;
+    matrix.forEach((row, i) => row.forEach((a, j) => {
+        if (a === 0) return;
+        nonzeros++;
+        bandwidth = Math.max(bandwidth, Math.abs(i - j));
+    }));
+    const condition = estimateCondition(matrix);
+    return {
+        n,
+        symmetric: spd.symmetric,
+        spd: spd.positiveDefinite,
+        dominance: analysis.dominance.strict ? 'strict' : analysis.dominance.weak ? 'weak' : 'none',
+        condition,
+        digitsLost: condition.inf === Infinity ? Infinity : Math.max(0, Math.log10(condition.inf)),
+        density: nonzeros / (n * n),
+        bandwidth
+    };
+};
+
+const formatFlops = (flops) => flops.toLocaleString('en-US');
+
+// "A is 6×6, symmetric positive definite, strictly diagonally dominant, well-conditioned (κ∞ ≈ 1.2e+1) and dense."
+const summarizeProperties = (p) => {
+    let parts = [];
+    if (p.spd) parts.push('symmetric positive definite');
+    else if (p.symmetric) parts.push('symmetric but not positive definite');
+    else parts.push('nonsymmetric');
+    parts.push(p.dominance === 'strict' ? 'strictly diagonally dominant' : p.dominance === 'weak' ? 'weakly diagonally dominant' : 'not diagonally dominant');
+    parts.push(p.condition.inf === Infinity
+        ? 'singular (κ∞ = ∞)'
+        : `${CONDITION_CLASSES.find(([digits]) => p.digitsLost < digits)[1]} (κ∞ ≈ ${p.condition.inf.toExponential(1)})`);
+    parts.push(p.density <= SPARSE_DENSITY
+        ? `sparse (${(100 * p.density).toFixed(0)}% nonzero${p.bandwidth < p.n - 1 ? `, bandwidth ${p.bandwidth}` : ''})`
+        : 'dense');
+    return `A is ${p.n}×${p.n}, ${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}.`;
+};
+
+// Recommendation text: what was measured for the winner, then what the matrix properties imply
+const getReason = (methodKey, metrics, analysis, properties) => {
+    const method = metrics[methodKey];
+    const summary = summarizeProperties(properties);
+
+    if (!(method.score > 0)) {
+        const failedDirect = Object.values(metrics).find(m => m.type === 'direct' && (m.status === 'singular' || m.status === 'inconsistent'));
+        if (failedDirect) {
+            return `✗ No unique solution: ${STATUS_LABELS[failedDirect.status]} (detected by ${failedDirect.name}). ${summary}`;
+        }
+        return `✗ No method succeeded. ${summary} Jacobi: ${describePrediction(analysis, 'jacobi')}. Gauss-Seidel: ${describePrediction(analysis, 'seidel')}.`;
+    }
+
+    let sentences = [summary];
+    const runnerUp = getRanking(metrics).find(metric => metric.key !== methodKey && metric.score > 0);
+    sentences.push(`${method.name} scores highest: backward error ${method.backwardError.toExponential(1)} with ${formatFlops(method.flops)} flops` +
+        (method.type === 'iterative' ? ` in ${method.termination.iteration} iterations` : '') +
+        (runnerUp ? ` (next: ${runnerUp.name}, ${runnerUp.backwardError.toExponential(1)} with ${formatFlops(runnerUp.flops)} flops).` : '.'));
+
+    if (properties.spd) {
+        sentences.push('Because A is SPD, CG is guaranteed to converge and Cholesky would factor it in about half the flops of LU.');
+    } else if (properties.symmetric) {
+        sentences.push('A is symmetric but indefinite, so CG can break down; GMRES or elimination with pivoting is safer.');
+    }
+    if (properties.dominance === 'strict') {
+        sentences.push('Strict diagonal dominance guarantees that Jacobi and Gauss-Seidel converge and that elimination needs no pivoting.');
+    } else if (analysis.zeroDiagonal === null) {
+        sentences.push(`Without strict dominance, convergence of the splitting methods rests on the spectral radius: Jacobi ρ = ${analysis.jacobi.spectralRadius.toFixed(3)}, Gauss-Seidel ρ = ${analysis.seidel.spectralRadius.toFixed(3)}.`);
+    }
+    if (properties.digitsLost >= CONDITION_CLASSES[0][0]) {
+        sentences.push(`With κ∞ ≈ ${properties.condition.inf.toExponential(1)}, even a backward-stable method may lose about ${Math.round(properties.digitsLost)} digits of x.`);
+    }
+    const growth = metrics.gauss.growthFactor;
+    if (metrics.gauss.status === 'solved' && growth > 1e3) {
+        sentences.push(`Gauss without pivoting let the entries grow by ${growth.toExponential(1)}, against ${metrics.pivoting.growthFactor.toFixed(1)} with partial pivoting.`);
+    }
+    if (properties.density <= SPARSE_DENSITY) {
+        sentences.push('The counts are for dense storage: with sparse storage an iteration costs about 2·nnz flops instead of 2n², while elimination fills in the zeros.');
+    }
+    return `✓ ${sentences.join(' ')}`;
+};
+
+// Methods sorted by score, best first
 export const getRanking = (metrics) => {
-    const ranking = Object.entries(metrics)
-        .map(([key, metric]) => ({
+    const ranking = Object.values(metrics)
+        .map((metric) => ({
             ...metric,
             score: calculateScore(metric)
         }))
@@ -158,15 +520,4 @@ export const getRanking = (metrics) => {
     return ranking;
 };
 
-// Calculate performance score
-const calculateScore = (metric) => {
-    if (metric.type === 'direct') {
-        return metric.efficiency * (1000 / (metric.steps + 1));
-    } else {
-        if (metric.converged) {
-            return metric.efficiency * (500 / (metric.steps + 1));
-        } else {
-            return 0;
-        }
-    }
-};
+const calculateScore = (metric) => metric.score ?? 0;
@@ -0,0 +1,191 @@
+// src/utils/equationParser.js
+import * as Q from './rational';
+import { MAX_SIZE } from './matrixIO';
+
+/**
+ * Builds A and b from typed linear equations, one per line, e.g.
+ *   2x + 3y - z = 5
+ *   y = 1/2 x - 4 + z
+ *   -x + 0.5z - 3 = 2y
+ * Coefficients may be omitted (x, -y), written as fractions (3/4 x, x/2) or joined with '*';
+ * variables and constants may appear on either side. Variables are numbered in order of
+ * first appearance. Entries are returned as strings of exact rationals.
+ *
+ * Errors throw an EquationError carrying the 1-based line and column and the length of the
+ * offending token, so the input can underline it.
+ */
+export class EquationError extends Error {
+    constructor(message, line, column, length = 1) {
+        super(`Line ${line}, column ${column}: ${message}`);
+        this.name = 'EquationError';
+        this.reason = message;
+        this.line = line;
+        this.column = column;
+        this.length = length;
+    }
+}
+
+const TOKEN_PATTERN = /\s*(?:(\d+(?:\.\d*)?|\.\d+)|([A-Za-z][A-Za-z0-9_]*)|([-+*/=])|(\S))/y;
+
+// Splits one line into { type: 'number' | 'name' | 'op', text, column } tokens
+const tokenize = (text, line) => {
+    let tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    let match;
+    while (TOKEN_PATTERN.lastIndex < text.length && (match = TOKEN_PATTERN.exec(text))) {
+        const [whole, number, name, op, other] = match;
+        const value = number ?? name ?? op ?? other;
+        const column = match.index + whole.length - value.length + 1;
+        if (other !== undefined) throw new EquationError(`unexpected character "${other}"`, line, column);
+        tokens.push({ type: number !== undefined ? 'number' : name !== undefined ? 'name' : 'op', text: value, column });
+    }
+    return tokens;
+};
+
+const describe = (token) => (token ? `"${token.text}"` : 'end of line');
+
+// Parses one equation into { coefficients: Map(name → rational), constant } for lhs − rhs = 0
+const parseEquation = (text, line) => {
+    const tokens = tokenize(text, line);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const errorAt = (token, message) => (token
+        ? new EquationError(message, line, token.column, token.text.length)
+        : new EquationError(message, line, text.trimEnd().length + 1));
+
+    const readNumber = () => {
+        const token = tokens[pos++];
+        return Q.parseRational(token.text);
+    };
+
+    // [number ['/' number]] ['*'] [name ['/' number]]
+    const parseTerm = () => {
+        const start = peek();
+        let coefficient = Q.ONE;
+        let variable = null;
+        if (start?.type === 'number') {
+            coefficient = readNumber();
+            if (peek()?.text === '/') {
+                pos++;
+                if (peek()?.type !== 'number') throw errorAt(peek(), `expected a number after "/", found ${describe(peek())}`);
+                const divisor = peek();
+                const denominator = readNumber();
+                if (Q.isZero(denominator)) throw errorAt(divisor, 'division by zero');
+                coefficient = Q.div(coefficient, denominator);
+            }
+            if (peek()?.text === '*') {
+                pos++;
+                if (peek()?.type !== 'name') throw errorAt(peek(), `expected a variable after "*", found ${describe(peek())}`);
+            }
+        }
+        if (peek()?.type === 'name') {
+            variable = tokens[pos++].text;
+            if (peek()?.text === '/') {
+                pos++;
+                if (peek()?.type !== 'number') throw errorAt(peek(), `expected a number after "/", found ${describe(peek())}`);
+                const divisor = peek();
+                const denominator = readNumber();
+                if (Q.isZero(denominator)) throw errorAt(divisor, 'division by zero');
+                coefficient = Q.div(coefficient, denominator);
+            }
+            if (peek()?.text === '*' || peek()?.type === 'name') {
+                const next = peek()?.text === '*' ? tokens[pos + 1] : peek();
+                throw errorAt(next ?? peek(), `nonlinear term: ${variable} multiplied by ${describe(next)} - only linear equations are supported`);
+            }
+        }
+        if (start === peek()) throw errorAt(start, `expected a number or variable, found ${describe(start)}`);
+        return { coefficient, variable };
+    };
+
+    // side: +1 for the left-hand side, -1 for the right (terms are moved to the left)
+    const coefficients = new Map();
+    let constant = Q.ZERO;
+    const parseSide = (side) => {
+        let first = true;
+        while (peek() && peek().text !== '=') {
+            let sign = 1;
+            if (peek().text === '+' || peek().text === '-') {
+                sign = tokens[pos++].text === '-' ? -1 : 1;
+            } else if (!first) {
+                throw errorAt(peek(), `expected "+", "-" or "=" before ${describe(peek())}`);
+            }
+            const { coefficient, variable } = parseTerm();
+            const value = sign * side < 0 ? Q.neg(coefficient) : coefficient;
+            if (variable) coefficients.set(variable, Q.add(coefficients.get(variable) ?? Q.ZERO, value));
+            else constant = Q.add(constant, value);
+            first = false;
+        }
+        if (first) throw errorAt(peek(), `expected an expression, found ${describe(peek())}`);
+    };
+
+    parseSide(1);
+    if (!peek()) throw errorAt(null, 'missing "=" - every line must be an equation');
+    const equals = tokens[pos++];
+    if (!peek()) throw errorAt(null, 'missing right-hand side after "="');
+    parseSide(-1);
+    if (peek()) throw errorAt(peek(), 'only one "=" is allowed per equation');
+    if (coefficients.size === 0) throw errorAt(equals, 'the equation has no variables');
+    return { coefficients, constant };
+};
+
+/**
+ * Parses the text into { matrix, vector, variables }: matrix[i][j] is the coefficient of
+ * variables[j] in equation i and vector[i] its constant, all moved to the form A x = b.
+ * Blank lines and lines starting with '#' are skipped.
+ */
+export const parseEquations = (text) => {
+    let equations = [];
+    let variables = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        if (raw.trim() === '' || raw.trim().startsWith('#')) return;
+        const equation = parseEquation(raw, index + 1);
+        equation.coefficients.forEach((_, name) => {
+            if (!variables.includes(name)) variables.push(name);
+        });
+        equations.push({ ...equation, line: index + 1 });
+    });
+    if (equations.length === 0) throw new EquationError('enter at least one equation', 1, 1);
+    if (equations.length > MAX_SIZE) throw new EquationError(`more than ${MAX_SIZE} equations`, equations[MAX_SIZE].line, 1);
+    if (variables.length > MAX_SIZE) throw new EquationError(`more than ${MAX_SIZE} variables`, equations[equations.length - 1].line, 1);
+
+    return {
+        matrix: equations.map(({ coefficients }) => variables.map(name => Q.toString(coefficients.get(name) ?? Q.ZERO))),
+        vector: equations.map(({ constant }) => Q.toString(Q.neg(constant))),
+        variables
+    };
+};
+
+// Writes a system back as equations, e.g. "2x + 3y - z = 5" (zero coefficients are left out)
+export const formatEquations = (matrix, vector, variables) => matrix.map((row, i) => {
+    let terms = [];
+    row.forEach((entry, j) => {
+        const value = Q.toRational(entry);
+        if (Q.isZero(value)) return;
+        const magnitude = Q.abs(value);
+        const coefficient = Q.compare(magnitude, Q.ONE) === 0 ? '' : `${Q.toString(magnitude)}${magnitude.den === 1n ? '' : ' '}`;
+        const sign = value.num < 0n ? '-' : '+';
+        terms.push(terms.length === 0 ? `${sign === '-' ? '-' : ''}${coefficient}${variables[j]}` : `${sign} ${coefficient}${variables[j]}`);
+    });
+    return `${terms.length ? terms.join(' ') : '0'} = ${Q.toString(Q.toRational(vector[i]))}`;
+}).join('\n');
+
+// Default names x1, x2, ... for n unknowns
+export const defaultVariables = (n) => Array.from({ length: n }, (_, i) => `x${i + 1}`);
+
+// Replaces the generic "x[i]" (0-based) and "xk" (1-based) in step descriptions and messages with the variable names.
+// Both forms are replaced in one pass, so a variable named like "xk" is not renamed a second time
+// ("x2 + x1 = 3" names the unknowns ['x2', 'x1']: the generic x1 becomes x2 and stays x2).
+const renameVariables = (text, variables) => (typeof text === 'string'
+    ? text.replace(/\bx(?:\[(\d+)\]|(\d+)\b)/g, (match, i, k) => (i !== undefined ? variables[Number(i)] : variables[Number(k) - 1]) ?? match)
+    : text);
+
+// The same for a block of steps, e.g. one streamed by the solver worker
+export const nameStepVariables = (steps, variables) =>
+    steps.map(step => ({ ...step, description: renameVariables(step.description, variables) }));
+
+export const nameVariables = (result, variables) => ({
+    ...result,
+    message: renameVariables(result.message, variables),
+    steps: nameStepVariables(result.steps, variables),
+    variables
+});
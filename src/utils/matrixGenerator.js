@@ -0,0 +1,187 @@
+// src/utils/matrixGenerator.js
+import { createRandom, uniform } from './random';
+import { MAX_SIZE } from './matrixIO';
+
+/**
+ * Random test systems with chosen properties. generateSystem(options) returns
+ * { matrix, vector, solution, density, options } with plain numbers, so the result can go
+ * straight into compareAllMethods or (as strings) into the grid. b = A·x* for a random integer
+ * solution x*, and the same options and seed always give the same system.
+ *
+ * Options (see DEFAULT_GENERATOR_OPTIONS):
+ *   size        n
+ *   condition   target κ₂(A), or null for random entries
+ *   density     fraction of nonzero entries; the diagonal is always nonzero
+ *   structure   'general' | 'symmetric' | 'spd'
+ *   bandwidth   a_ij = 0 for |i - j| > bandwidth, or null for no band
+ *   dominance   margin m with |a_ii| ≥ (1 + m) Σ_{j≠i} |a_ij|, or null
+ *   seed        32-bit seed of the generator
+ *
+ * Without a target κ the pattern is filled with entries of two decimals, so the system is exact
+ * in every arithmetic mode. With a target κ, A = U Σ Vᵀ (Q Λ Qᵀ when symmetric) is built from
+ * log-spaced singular values 1 ... 1/κ and random Givens rotations: rotations keep the singular
+ * values exactly and leave zeros in place, so they are applied one at a time until the density is
+ * reached, skipping any that would leave the band or break the dominance margin. A strict margin
+ * on an ill-conditioned Σ rejects most rotations, so the result may stay sparser than asked.
+ */
+
+export const GENERATOR_STRUCTURES = {
+    general: 'General',
+    symmetric: 'Symmetric',
+    spd: 'Symmetric positive definite'
+};
+
+export const DEFAULT_GENERATOR_OPTIONS = {
+    size: 6,
+    condition: null,
+    density: 1,
+    structure: 'general',
+    bandwidth: null,
+    dominance: null,
+    seed: 1
+};
+
+// SPD matrices without a target κ are made diagonally dominant with a positive diagonal
+const SPD_MARGIN = 0.1;
+
+const checkOptions = ({ size, condition, density, structure, bandwidth, dominance }) => {
+    if (!Number.isInteger(size) || size < 1 || size > MAX_SIZE) throw new Error(`Size must be a whole number from 1 to ${MAX_SIZE}`);
+    if (condition !== null && !(condition >= 1 && Number.isFinite(condition))) throw new Error('The target condition number must be at least 1');
+    if (!(density > 0 && density <= 1)) throw new Error('Density must be greater than 0 and at most 1');
+    if (!GENERATOR_STRUCTURES[structure]) throw new Error(`Unknown structure "${structure}"`);
+    if (bandwidth !== null && !(Number.isInteger(bandwidth) && bandwidth >= 0)) throw new Error('Bandwidth must be a whole number ≥ 0');
+    if (dominance !== null && !(dominance >= 0 && Number.isFinite(dominance))) throw new Error('The dominance margin must be ≥ 0');
+};
+
+const inBand = (i, j, bandwidth) => bandwidth === null || Math.abs(i - j) <= bandwidth;
+
+const countNonzeros = (A) => A.reduce((sum, row) => sum + row.filter(a => a !== 0).length, 0);
+
+// Largest number of nonzeros the band allows
+const bandCapacity = (n, bandwidth) => {
+    let count = 0;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) if (inBand(i, j, bandwidth)) count++;
+    }
+    return count;
+};
+
+const offDiagonalSum = (row, i) => row.reduce((sum, a, j) => (j === i ? sum : sum + Math.abs(a)), 0);
+
+const isDominant = (A, margin) => A.every((row, i) => Math.abs(row[i]) >= (1 + margin) * offDiagonalSum(row, i));
+
+const isInBand = (A, bandwidth) => bandwidth === null || A.every((row, i) => row.every((a, j) => a === 0 || inBand(i, j, bandwidth)));
+
+const roundUp2 = (value) => Math.ceil(value * 100 - 1e-9) / 100;
+
+// Nonzero entry with two decimals in [-1, 1]
+const randomEntry = (random) => {
+    let value = 0;
+    while (value === 0) value = Math.round(uniform(random) * 100) / 100;
+    return value;
+};
+
+// --- RANDOM ENTRIES ON A SPARSITY PATTERN ---
+const randomPattern = (n, { density, structure, bandwidth, dominance }, random) => {
+    const symmetric = structure !== 'general';
+    // Probability for each off-diagonal slot in the band, so the expected density matches
+    const slots = bandCapacity(n, bandwidth) - n;
+    const p = slots > 0 ? Math.min(1, Math.max(0, (density * n * n - n) / slots)) : 0;
+    let A = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        A[i][i] = randomEntry(random);
+        for (let j = symmetric ? i + 1 : 0; j < n; j++) {
+            if (j === i || !inBand(i, j, bandwidth) || random() >= p) continue;
+            A[i][j] = randomEntry(random);
+            if (symmetric) A[j][i] = A[i][j];
+        }
+    }
+    const margin = structure === 'spd' ? dominance ?? SPD_MARGIN : dominance;
+    if (margin !== null) {
+        // Strictly dominant with a positive diagonal ⇒ SPD for a symmetric A (Gershgorin)
+        for (let i = 0; i < n; i++) {
+            const offSum = offDiagonalSum(A[i], i);
+            let diagonal = Math.max(Math.abs(A[i][i]), roundUp2((1 + margin) * offSum));
+            if (structure === 'spd' && diagonal <= offSum) diagonal = roundUp2(offSum + 0.01);
+            A[i][i] = structure === 'spd' || A[i][i] > 0 ? diagonal : -diagonal;
+        }
+    }
+    return A;
+};
+
+// --- ROTATIONS OF A DIAGONAL MATRIX WITH PRESCRIBED SINGULAR VALUES ---
+// Rotates rows (side 'left') or columns (side 'right') p and q by the angle θ in place
+const rotate = (A, side, p, q, theta) => {
+    const c = Math.cos(theta), s = Math.sin(theta);
+    for (let k = 0; k < A.length; k++) {
+        if (side === 'left') {
+            const a = A[p][k], b = A[q][k];
+            A[p][k] = c * a - s * b;
+            A[q][k] = s * a + c * b;
+        } else {
+            const a = A[k][p], b = A[k][q];
+            A[k][p] = c * a - s * b;
+            A[k][q] = s * a + c * b;
+        }
+    }
+};
+
+const conditionedMatrix = (n, { condition, density, structure, bandwidth, dominance }, random) => {
+    const symmetric = structure !== 'general';
+    // σ_k = κ^(-k/(n-1)) from 1 down to 1/κ, placed on the diagonal in random order
+    let sigma = Array.from({ length: n }, (_, k) => (n > 1 ? condition ** (-k / (n - 1)) : 1));
+    for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [sigma[i], sigma[j]] = [sigma[j], sigma[i]];
+    }
+    // Symmetric indefinite: eigenvalues ±σ
+    if (structure === 'symmetric') sigma = sigma.map(s => (random() < 0.5 ? -s : s));
+    let A = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? sigma[i] : 0)));
+
+    const target = Math.min(Math.ceil(density * n * n), bandCapacity(n, bandwidth));
+    // Stop once the density is reached or 20n rotations in a row have added no nonzero
+    // (the band or the margin may make the target unreachable)
+    const maxStalls = 20 * n;
+    let stalls = 0;
+    let nonzeros = n;
+    while (n > 1 && nonzeros < target && stalls < maxStalls) {
+        const p = Math.floor(random() * n);
+        let q = Math.floor(random() * (n - 1));
+        if (q >= p) q++;
+        const side = symmetric ? 'both' : random() < 0.5 ? 'left' : 'right';
+        // Smaller angles change A less, so retry a rejected rotation with θ/2, θ/4, θ/8
+        for (let theta = uniform(random, -Math.PI, Math.PI), attempt = 0; attempt < 4; attempt++, theta /= 2) {
+            let B = A.map(row => [...row]);
+            if (side === 'both') {
+                // Q A Qᵀ keeps the eigenvalues; copy the lower triangle so rounding keeps A exactly symmetric
+                rotate(B, 'left', p, q, theta);
+                rotate(B, 'right', p, q, theta);
+                for (let i = 0; i < n; i++) for (let j = 0; j < i; j++) B[j][i] = B[i][j];
+            } else {
+                rotate(B, side, p, q, theta);
+            }
+            if (isInBand(B, bandwidth) && (dominance === null || isDominant(B, dominance))) {
+                A = B;
+                break;
+            }
+        }
+        const count = countNonzeros(A);
+        stalls = count > nonzeros ? 0 : stalls + 1;
+        nonzeros = count;
+    }
+    return A;
+};
+
+export const generateSystem = (options = {}) => {
+    const settings = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+    checkOptions(settings);
+    const n = settings.size;
+    const random = createRandom(settings.seed);
+    const matrix = settings.condition === null ? randomPattern(n, settings, random) : conditionedMatrix(n, settings, random);
+    // x* has nonzero integer entries in [-5, 5]
+    const solution = Array.from({ length: n }, () => (random() < 0.5 ? -1 : 1) * (1 + Math.floor(random() * 5)));
+    let vector = matrix.map(row => row.reduce((sum, a, j) => sum + a * solution[j], 0));
+    // Two-decimal entries times integers give two-decimal sums, so rounding removes the float error
+    if (settings.condition === null) vector = vector.map(v => Math.round(v * 100) / 100);
+    return { matrix, vector, solution, density: countNonzeros(matrix) / (n * n), options: settings };
+};
@@ -0,0 +1,316 @@
+// src/utils/matrixIO.js
+import { parseRational } from './rational';
+import { parseEntry } from './arithmetic';
+import { rowSums } from './presets';
+
+/**
+ * Reading and writing a system A x = b₁, b₂, ... as CSV, JSON or MatrixMarket.
+ * Every parser returns { matrix, vectors, notice } with entries kept as the strings found in the
+ * file (so "3/4" stays exact) and vectors a list of right-hand-side columns. Malformed input
+ * throws an Error whose message starts with the offending line ("Line 4: ...").
+ *
+ * CSV and MatrixMarket store the augmented block [A | b₁ ... bₖ]: an n-row file with n + k
+ * columns, so A is always square. JSON names its parts and also accepts rectangular A.
+ */
+
+export const MAX_SIZE = 50;
+
+export const FILE_FORMATS = {
+    csv: 'CSV',
+    json: 'JSON',
+    'mtx-array': 'MatrixMarket (array)',
+    'mtx-coordinate': 'MatrixMarket (coordinate)'
+};
+
+const fail = (line, message) => {
+    throw new Error(line ? `Line ${line}: ${message}` : message);
+};
+
+// Validates one entry; returns it as a trimmed string
+const readEntry = (token, line) => {
+    const text = String(token).trim();
+    if (text === '') fail(line, 'empty entry');
+    if (!parseRational(text)) fail(line, `"${text}" is not a number or fraction`);
+    return text;
+};
+
+const checkSize = (n, line) => {
+    if (n > MAX_SIZE) fail(line, `${n} equations exceed the maximum size of ${MAX_SIZE}`);
+};
+
+// Splits the augmented n×(n+k) block into A and the k right-hand-side columns
+const splitAugmented = (rows, line) => {
+    let n = rows.length;
+    let width = rows[0].length;
+    if (width <= n) {
+        fail(line, `${width} column${width === 1 ? '' : 's'} for ${n} equations: expected the square ${n}×${n} A followed by at least one b column`);
+    }
+    return {
+        matrix: rows.map(row => row.slice(0, n)),
+        vectors: Array.from({ length: width - n }, (_, c) => rows.map(row => row[n + c]))
+    };
+};
+
+// --- CSV: one equation per line, a₁,...,aₙ,b ---
+export const parseCSV = (text) => {
+    let rows = [];
+    let firstLine = null;
+    text.split(/\r?\n/).forEach((raw, index) => {
+        let line = index + 1;
+        let content = raw.trim();
+        if (content === '' || content.startsWith('#')) return;
+        let values = content.split(',').map(token => readEntry(token, line));
+        if (firstLine === null) {
+            firstLine = line;
+        } else if (values.length !== rows[0].length) {
+            fail(line, `expected ${rows[0].length} values like line ${firstLine}, found ${values.length}`);
+        }
+        rows.push(values);
+    });
+    if (rows.length === 0) fail(null, 'The file contains no rows');
+    checkSize(rows.length, firstLine);
+    return { ...splitAugmented(rows, firstLine), notice: null };
+};
+
+export const toCSV = (matrix, vectors) =>
+    matrix.map((row, i) => [...row, ...vectors.map(b => b[i])].join(',')).join('\n') + '\n';
+
+// --- JSON: { "A": [[...], ...], "b": [...] or [[b₁], [b₂], ...] } ---
+
+// Line of character offset `position` in text, for JSON.parse errors
+const lineAt = (text, position) => text.slice(0, position).split('\n').length;
+
+// Offset of the first syntax error in text. Only used when the engine's JSON.parse message
+// carries no position (V8 omits it for e.g. trailing commas).
+const jsonErrorOffset = (text) => {
+    let i = 0;
+    const skip = () => { while (/\s/.test(text[i] ?? '')) i++; };
+    const expect = (ok) => { if (!ok) throw i; };
+    const value = () => {
+        skip();
+        const c = text[i];
+        if (c === '{' || c === '[') {
+            const close = c === '{' ? '}' : ']';
+            i++;
+            skip();
+            if (text[i] === close) { i++; return; }
+            for (;;) {
+                if (close === '}') {
+                    skip();
+                    expect(text[i] === '"');
+                    value();
+                    skip();
+                    expect(text[i] === ':');
+                    i++;
+                }
+                value();
+                skip();
+                if (text[i] === close) { i++; return; }
+                expect(text[i] === ',');
+                i++;
+            }
+        }
+        if (c === '"') {
+            i++;
+            while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+            expect(i < text.length);
+            i++;
+            return;
+        }
+        const match = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i));
+        expect(match);
+        i += match[0].length;
+    };
+    try {
+        value();
+        skip();
+        return i;
+    } catch (offset) {
+        return offset;
+    }
+};
+
+export const parseJSON = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        const position = /position (\d+)/.exec(error.message);
+        const line = /line (\d+)/.exec(error.message);
+        // Engine messages may quote a multi-line snippet or repeat the position; keep the reason only
+        const reason = error.message.replace(/,?\s*(\.\.\.)?".*$/s, '').replace(/ in JSON at position.*$/s, '');
+        fail(line ? Number(line[1]) : lineAt(text, position ? Number(position[1]) : jsonErrorOffset(text)), `invalid JSON (${reason})`);
+    }
+    if (!data || typeof data !== 'object' || !Array.isArray(data.A)) fail(null, 'Expected an object with an array "A"');
+    if (data.A.length === 0) fail(null, '"A" has no rows');
+    checkSize(data.A.length, null);
+
+    let width = Array.isArray(data.A[0]) ? data.A[0].length : 0;
+    if (width === 0 || width > MAX_SIZE) fail(null, `"A" must have between 1 and ${MAX_SIZE} columns`);
+    let matrix = data.A.map((row, i) => {
+        if (!Array.isArray(row) || row.length !== width) fail(null, `A[${i}] should be a row of ${width} entries`);
+        return row.map((val, j) => {
+            try {
+                return readEntry(val, null);
+            } catch (error) {
+                return fail(null, `A[${i}][${j}]: ${error.message}`);
+            }
+        });
+    });
+
+    if (!Array.isArray(data.b)) fail(null, 'Expected an array "b"');
+    let columns = Array.isArray(data.b[0]) ? data.b : [data.b];
+    if (columns.length > 1 && width !== matrix.length) fail(null, 'Several right-hand sides need a square A');
+    let vectors = columns.map((b, c) => {
+        if (b.length !== matrix.length) fail(null, `b${columns.length > 1 ? c + 1 : ''} has ${b.length} entries but A has ${matrix.length} rows`);
+        return b.map((val, i) => {
+            try {
+                return readEntry(val, null);
+            } catch (error) {
+                return fail(null, `b${columns.length > 1 ? c + 1 : ''}[${i}]: ${error.message}`);
+            }
+        });
+    });
+    return { matrix, vectors, notice: null };
+};
+
+// Plain decimals are written as JSON numbers, fractions such as "3/4" as strings
+const jsonEntry = (val) => {
+    const text = String(val).trim();
+    return /^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(text) ? Number(text) : text;
+};
+
+export const toJSON = (matrix, vectors) => {
+    const A = matrix.map(row => row.map(jsonEntry));
+    const b = vectors.map(v => v.map(jsonEntry));
+    // One row per line keeps larger systems readable
+    const rowsText = (rows) => rows.map(row => `    ${JSON.stringify(row)}`).join(',\n');
+    return `{\n  "A": [\n${rowsText(A)}\n  ],\n  "b": ${b.length === 1 ? JSON.stringify(b[0]) : `[\n${rowsText(b)}\n  ]`}\n}\n`;
+};
+
+// --- MatrixMarket (.mtx), array and coordinate formats, real or integer fields ---
+export const parseMatrixMarket = (text) => {
+    let lines = text.split(/\r?\n/);
+    let header = /^%%MatrixMarket\s+matrix\s+(coordinate|array)\s+(\w+)\s+(\w+)\s*$/i.exec(lines[0]);
+    if (!header) fail(1, 'expected "%%MatrixMarket matrix <coordinate|array> <real|integer> <general|symmetric>"');
+    let [, format, field, symmetry] = header.map(s => s.toLowerCase());
+    if (!['real', 'integer'].includes(field)) fail(1, `the "${field}" field is not supported (use real or integer)`);
+    if (!['general', 'symmetric'].includes(symmetry)) fail(1, `"${symmetry}" matrices are not supported (use general or symmetric)`);
+
+    // Data lines with their 1-based line numbers, comments and blank lines skipped
+    let data = [];
+    lines.slice(1).forEach((raw, index) => {
+        let content = raw.trim();
+        if (content !== '' && !content.startsWith('%')) data.push({ line: index + 2, tokens: content.split(/\s+/) });
+    });
+    if (data.length === 0) fail(null, 'missing the size line');
+
+    let sizeLine = data.shift();
+    let expectedSize = format === 'coordinate' ? 3 : 2;
+    if (sizeLine.tokens.length !== expectedSize || !sizeLine.tokens.every(t => /^\d+$/.test(t))) {
+        fail(sizeLine.line, `the size line should hold ${format === 'coordinate' ? 'rows, columns and the number of entries' : 'rows and columns'}`);
+    }
+    let [m, n, count] = sizeLine.tokens.map(Number);
+    if (m === 0 || n === 0) fail(sizeLine.line, 'the matrix is empty');
+    checkSize(m, sizeLine.line);
+    if (symmetry === 'symmetric' && m !== n) fail(sizeLine.line, `a symmetric matrix must be square, not ${m}×${n}`);
+    if (n < m) fail(sizeLine.line, `${m}×${n} is not square: expected A (n×n) or the augmented [A | b] (n×(n+k))`);
+    if (n - m > MAX_SIZE) fail(sizeLine.line, `too many right-hand-side columns (${n - m})`);
+
+    let rows = Array.from({ length: m }, () => new Array(n).fill('0'));
+
+    if (format === 'coordinate') {
+        if (data.length !== count) {
+            let line = data.length > count ? data[count].line : lines.length;
+            fail(line, `the size line announces ${count} entries but the file has ${data.length}`);
+        }
+        let seen = new Set();
+        data.forEach(({ line, tokens }) => {
+            if (tokens.length !== 3) fail(line, `expected "row column value", found ${tokens.length} field${tokens.length === 1 ? '' : 's'}`);
+            let [i, j] = tokens.slice(0, 2).map(Number);
+            if (!Number.isInteger(i) || !Number.isInteger(j) || i < 1 || i > m || j < 1 || j > n) {
+                fail(line, `position (${tokens[0]}, ${tokens[1]}) is outside the ${m}×${n} matrix`);
+            }
+            if (symmetry === 'symmetric' && j > i) fail(line, `symmetric files list the lower triangle only, found (${i}, ${j})`);
+            if (seen.has(`${i},${j}`)) fail(line, `duplicate entry for (${i}, ${j})`);
+            seen.add(`${i},${j}`);
+            let value = readEntry(tokens[2], line);
+            rows[i - 1][j - 1] = value;
+            if (symmetry === 'symmetric') rows[j - 1][i - 1] = value;
+        });
+    } else {
+        // Column-major; symmetric arrays list the lower triangle column by column
+        let positions = [];
+        for (let j = 0; j < n; j++) {
+            for (let i = symmetry === 'symmetric' ? j : 0; i < m; i++) positions.push([i, j]);
+        }
+        let values = data.flatMap(({ line, tokens }) => tokens.map(token => ({ line, token })));
+        if (values.length !== positions.length) {
+            let line = values.length > positions.length ? values[positions.length].line : lines.length;
+            fail(line, `expected ${positions.length} values for the ${m}×${n} ${symmetry} array, found ${values.length}`);
+        }
+        values.forEach(({ line, token }, k) => {
+            let [i, j] = positions[k];
+            rows[i][j] = readEntry(token, line);
+            if (symmetry === 'symmetric') rows[j][i] = rows[i][j];
+        });
+    }
+
+    if (n > m) return { ...splitAugmented(rows, sizeLine.line), notice: null };
+
+    // A square file holds A alone: choose b = A·[1, ..., 1] so the exact solution is all ones
+    return {
+        matrix: rows,
+        vectors: [rowSums(rows)],
+        notice: 'The file holds A only, so b was set to the row sums of A (exact solution x = [1, ..., 1]).'
+    };
+};
+
+// MatrixMarket values must be decimals, so fractions are written as floats
+const mtxEntry = (val) => {
+    const text = String(val).trim();
+    return /^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(text) ? text : String(parseEntry(text));
+};
+
+export const toMatrixMarket = (matrix, vectors, format = 'array') => {
+    const rows = matrix.map((row, i) => [...row, ...vectors.map(b => b[i])].map(mtxEntry));
+    const m = rows.length;
+    const n = rows[0].length;
+    const header = [
+        `%%MatrixMarket matrix ${format} real general`,
+        `% Augmented [A | b]: columns 1-${m} are A, the remaining ${n - m} column${n - m === 1 ? ' is b' : 's are b1 ... b' + (n - m)}`
+    ];
+    if (format === 'coordinate') {
+        const entries = [];
+        for (let j = 0; j < n; j++) {
+            for (let i = 0; i < m; i++) {
+                if (parseEntry(rows[i][j]) !== 0) entries.push(`${i + 1} ${j + 1} ${rows[i][j]}`);
+            }
+        }
+        return [...header, `${m} ${n} ${entries.length}`, ...entries].join('\n') + '\n';
+    }
+    const values = [];
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < m; i++) values.push(rows[i][j]);
+    }
+    return [...header, `${m} ${n}`, ...values].join('\n') + '\n';
+};
+
+// Picks the parser from the file extension, falling back to the content
+export const parseSystemFile = (name, text) => {
+    const extension = name.toLowerCase().split('.').pop();
+    if (extension === 'csv') return parseCSV(text);
+    if (extension === 'json') return parseJSON(text);
+    if (extension === 'mtx') return parseMatrixMarket(text);
+    if (text.startsWith('%%MatrixMarket')) return parseMatrixMarket(text);
+    if (text.trim().startsWith('{')) return parseJSON(text);
+    return parseCSV(text);
+};
+
+// File contents, name and MIME type for one of FILE_FORMATS
+export const exportSystem = (matrix, vectors, format) => {
+    if (format === 'json') return { text: toJSON(matrix, vectors), name: 'system.json', type: 'application/json' };
+    if (format === 'csv') return { text: toCSV(matrix, vectors), name: 'system.csv', type: 'text/csv' };
+    const mtxFormat = format === 'mtx-coordinate' ? 'coordinate' : 'array';
+    return { text: toMatrixMarket(matrix, vectors, mtxFormat), name: `system-${mtxFormat}.mtx`, type: 'text/plain' };
+};
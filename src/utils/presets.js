@@ -0,0 +1,101 @@
+// src/utils/presets.js
+import * as Q from './rational';
+import { createRandom, uniform } from './random';
+
+/**
+ * Example systems with known behaviour. Each preset is
+ * { id, name, note, size: { min, max, initial } | null, seeded, build(n, seed) },
+ * where build returns { matrix, vector } with entries as strings (fractions stay exact).
+ * `size` is null for fixed examples; `seeded` presets also take a random seed.
+ */
+
+const toStrings = (m) => m.map(row => row.map(String));
+
+// b = A·[1, ..., 1] in exact arithmetic, so the solution is known to be all ones (also used by matrixIO)
+export const rowSums = (matrix) => matrix.map(row => Q.toString(row.reduce((sum, v) => Q.add(sum, Q.toRational(v)), Q.ZERO)));
+
+const hilbert = (n) => {
+    const matrix = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => `1/${i + j + 1}`));
+    return { matrix, vector: rowSums(matrix) };
+};
+
+// Second-difference matrix tridiag(-1, 2, -1) of the 1-D Poisson equation -u'' = 1
+const poisson = (n) => {
+    const matrix = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? '2' : Math.abs(i - j) === 1 ? '-1' : '0')));
+    return { matrix, vector: Array(n).fill('1') };
+};
+
+// A = M·Mᵀ + n·I with M uniform in [-1, 1]; entries rounded to 4 decimals (symmetric pairs rounded once)
+const randomSPD = (n, seed) => {
+    const random = createRandom(seed);
+    const M = Array.from({ length: n }, () => Array.from({ length: n }, () => uniform(random)));
+    const matrix = Array.from({ length: n }, () => new Array(n));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = i === j ? n : 0;
+            for (let k = 0; k < n; k++) sum += M[i][k] * M[j][k];
+            matrix[i][j] = matrix[j][i] = String(Number(sum.toFixed(4)));
+        }
+    }
+    const vector = Array.from({ length: n }, () => String(Number(uniform(random, -10, 10).toFixed(2))));
+    return { matrix, vector };
+};
+
+export const PRESETS = [
+    {
+        id: 'hilbert',
+        name: 'Hilbert matrix',
+        note: 'H[i][j] = 1/(i+j+1) is SPD but severely ill-conditioned (κ grows like e^{3.5n}). b = H·1, so the exact solution is all ones: exact fractions recover it, float64 loses digits from n ≈ 8 and k-digit precision fails much earlier.',
+        size: { min: 2, max: 12, initial: 5 },
+        seeded: false,
+        build: hilbert
+    },
+    {
+        id: 'singular',
+        name: 'Singular, infinitely many solutions',
+        note: 'The third equation is twice the second minus the first, so rank(A) = 2. Elimination stops at a zero pivot and reports a singular matrix; RREF gives the general solution with one free variable and κ(A) = ∞.',
+        size: null,
+        seeded: false,
+        build: () => ({ matrix: toStrings([[1, 2, 3], [4, 5, 6], [7, 8, 9]]), vector: ['6', '15', '24'] })
+    },
+    {
+        id: 'inconsistent',
+        name: 'Inconsistent system',
+        note: 'Same A as the singular example, but b breaks the row relation: elimination reaches 0 = c and reports rank(A) = 2 < rank([A|b]) = 3, so no solution exists.',
+        size: null,
+        seeded: false,
+        build: () => ({ matrix: toStrings([[1, 2, 3], [4, 5, 6], [7, 8, 9]]), vector: ['1', '1', '0'] })
+    },
+    {
+        id: 'jacobi-divergent',
+        name: 'Jacobi fails, Gauss-Seidel converges',
+        note: 'Not diagonally dominant and no row order makes it so. ρ(T_J) = √5/2 ≈ 1.12, so Jacobi does not converge, while ρ(T_GS) = 1/2 and Gauss-Seidel reaches x = [1, 1, 1]. The pre-analysis predicts both outcomes.',
+        size: null,
+        seeded: false,
+        build: () => ({ matrix: toStrings([[2, -1, 1], [2, 2, 2], [-1, -1, 2]]), vector: ['2', '6', '0'] })
+    },
+    {
+        id: 'epsilon-pivot',
+        name: 'ε pivot (pivoting needed)',
+        note: 'The first pivot ε = 0.0001 is tiny, so Gauss without pivoting uses the multiplier 1/ε = 10⁴. Switch to 3-digit rounding: basic Gauss returns x1 = 0 instead of ≈ 1 while partial pivoting swaps the rows and stays accurate. In float64 the damage is a few lost digits; set ε below the pivot tolerance (e.g. 1e-20) and basic Gauss stops with a zero pivot.',
+        size: null,
+        seeded: false,
+        build: () => ({ matrix: [['0.0001', '1'], ['1', '1']], vector: ['1', '2'] })
+    },
+    {
+        id: 'poisson',
+        name: 'Tridiagonal Poisson matrix',
+        note: 'tridiag(−1, 2, −1) from −u″ = 1: SPD, tridiagonal and weakly diagonally dominant. Jacobi and Gauss-Seidel converge slowly (ρ(T_J) = cos(π/(n+1))), the SOR ω sweep matches ω* = 2/(1+√(1−ρ_J²)), and CG finishes in at most n iterations.',
+        size: { min: 2, max: 50, initial: 6 },
+        seeded: false,
+        build: poisson
+    },
+    {
+        id: 'random-spd',
+        name: 'Random SPD matrix',
+        note: 'A = M·Mᵀ + n·I with random M: symmetric positive definite and well conditioned. Cholesky and LDLᵀ succeed, CG converges quickly, and the same seed always reproduces the same system.',
+        size: { min: 2, max: 50, initial: 4 },
+        seeded: true,
+        build: randomSPD
+    }
+];
@@ -0,0 +1,22 @@
+// src/utils/random.js
+
+/**
+ * Seeded pseudo-random numbers (mulberry32), so a generated matrix can be reproduced from its seed.
+ * createRandom(seed) returns a function giving uniform numbers in [0, 1).
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Uniform number in [min, max)
+export const uniform = (random, min = -1, max = 1) => min + (max - min) * random();
+
+// A fresh seed for the seed input (any 32-bit unsigned integer)
+export const randomSeed = () => Math.floor(Math.random() * 2 ** 32);
@@ -0,0 +1,99 @@
+// src/utils/rational.js
+
+/**
+ * Exact rational numbers backed by BigInt.
+ * A rational is a plain object { num, den } with den > 0 and gcd(num, den) = 1.
+ */
+
+const bigAbs = (a) => (a < 0n ? -a : a);
+
+const gcd = (a, b) => {
+    a = bigAbs(a);
+    b = bigAbs(b);
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+};
+
+export const makeRational = (num, den = 1n) => {
+    if (den === 0n) throw new Error("Rational with zero denominator");
+    if (den < 0n) {
+        num = -num;
+        den = -den;
+    }
+    const g = gcd(num, den) || 1n;
+    return { num: num / g, den: den / g };
+};
+
+export const isRational = (x) => typeof x === 'object' && x !== null && typeof x.num === 'bigint';
+
+export const ZERO = makeRational(0n);
+export const ONE = makeRational(1n);
+
+// Parses a decimal literal such as "-1.25" or "3e-4" exactly; returns null if invalid.
+const parseDecimal = (text) => {
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(text.trim());
+    if (!match || (match[2] === '' && (match[3] === undefined || match[3] === ''))) return null;
+    const [, sign, intPart, fracPart = '', expPart = '0'] = match;
+    let num = BigInt((intPart || '0') + fracPart);
+    let den = 10n ** BigInt(fracPart.length);
+    const exp = parseInt(expPart, 10);
+    if (exp > 0) num *= 10n ** BigInt(exp);
+    if (exp < 0) den *= 10n ** BigInt(-exp);
+    return makeRational(sign === '-' ? -num : num, den);
+};
+
+/**
+ * Parses "3/4", "-5", "0.25", "1.5/2" or "2e-3" into an exact rational.
+ * Returns null for anything else (including a zero denominator).
+ */
+export const parseRational = (text) => {
+    const parts = String(text).split('/');
+    if (parts.length > 2) return null;
+    const numerator = parseDecimal(parts[0]);
+    if (!numerator) return null;
+    if (parts.length === 1) return numerator;
+    const denominator = parseDecimal(parts[1]);
+    if (!denominator || denominator.num === 0n) return null;
+    return div(numerator, denominator);
+};
+
+// Numbers are converted through their shortest decimal form, so 0.1 becomes 1/10.
+export const toRational = (value) => {
+    if (isRational(value)) return value;
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) throw new Error(`Cannot represent ${value} exactly`);
+        return parseRational(String(value));
+    }
+    const parsed = parseRational(value);
+    if (!parsed) throw new Error(`Invalid number: "${value}"`);
+    return parsed;
+};
+
+export const add = (a, b) => makeRational(a.num * b.den + b.num * a.den, a.den * b.den);
+export const sub = (a, b) => makeRational(a.num * b.den - b.num * a.den, a.den * b.den);
+export const mul = (a, b) => makeRational(a.num * b.num, a.den * b.den);
+export const div = (a, b) => {
+    if (b.num === 0n) throw new Error("Division by zero");
+    return makeRational(a.num * b.den, a.den * b.num);
+};
+export const neg = (a) => ({ num: -a.num, den: a.den });
+export const abs = (a) => ({ num: bigAbs(a.num), den: a.den });
+export const isZero = (a) => a.num === 0n;
+
+// Sign of a - b: -1, 0 or 1
+export const compare = (a, b) => {
+    const diff = a.num * b.den - b.num * a.den;
+    return diff === 0n ? 0 : diff > 0n ? 1 : -1;
+};
+
+export const toNumber = (a) => {
+    const n = Number(a.num) / Number(a.den);
+    if (Number.isFinite(n)) return n;
+    // Very large numerator and denominator: divide after trimming digits
+    const shift = BigInt(Math.max(a.num.toString().length, a.den.toString().length) - 300);
+    return Number(a.num / 10n ** shift) / Number(a.den / 10n ** shift);
+};
+
+export const toString = (a) => (a.den === 1n ? `${a.num}` : `${a.num}/${a.den}`);
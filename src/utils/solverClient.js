@@ -0,0 +1,100 @@
+// src/utils/solverClient.js
+
+// How long cancel() waits for the worker's acknowledgement before terminating it (ms)
+const CANCEL_GRACE = 250;
+
+/**
+ * Main-thread side of the solver worker (see solverWorker.js for the message protocol).
+ * createSolverClient() returns { run, cancel, dispose }:
+ *   run(job, onProgress) posts a 'start' message and resolves to { result, cancelled }. A solve's
+ *     steps arrive in chunks while it runs and are appended as they come; onProgress receives
+ *     { stepCount } after each chunk, or { done, total } for a comparison or benchmark.
+ *     A solver error rejects with its message. Starting a run stops the one still going at once.
+ *   cancel() posts a 'cancel' message; the run resolves with cancelled = true when the worker
+ *     acknowledges it (a cancelled benchmark passes its finished rows as the result). A solve or
+ *     comparison cannot read the message until it has finished, so without an acknowledgement
+ *     within CANCEL_GRACE ms the worker is terminated instead and the next run starts a fresh one.
+ *   dispose() stops the run and leaves no worker behind (component unmount).
+ */
+export const createSolverClient = () => {
+    let worker = null;
+    let nextId = 0;
+    let pending = null; // { id, resolve, reject, onProgress, steps, cancelTimer }
+
+    // Takes the pending run off the client so it is settled exactly once
+    const settle = () => {
+        const run = pending;
+        pending = null;
+        clearTimeout(run.cancelTimer);
+        return run;
+    };
+
+    const stopWorker = () => {
+        worker?.terminate();
+        worker = null;
+    };
+
+    // Ends the pending run without waiting for the worker
+    const stop = () => {
+        if (!pending) return;
+        stopWorker();
+        settle().resolve({ result: null, cancelled: true });
+    };
+
+    const handleMessage = ({ data }) => {
+        if (!pending || data.id !== pending.id) return;
+        if (data.type === 'cancelled') {
+            settle().resolve({ result: data.result, cancelled: true });
+            return;
+        }
+        // While cancelling, whatever the run still sends is dropped until the acknowledgement
+        if (pending.cancelTimer !== undefined) return;
+        if (data.type === 'chunk') {
+            pending.steps.push(...data.steps);
+            pending.onProgress?.({ stepCount: pending.steps.length });
+        } else if (data.type === 'progress') {
+            pending.onProgress?.({ done: data.done, total: data.total });
+        } else if (data.type === 'result') {
+            const result = pending.steps.length > 0 ? { ...data.result, steps: pending.steps } : data.result;
+            settle().resolve({ result, cancelled: false });
+        } else if (data.type === 'error') {
+            settle().reject(new Error(data.message));
+        }
+    };
+
+    // A worker that fails to load or crashes takes the pending run with it
+    const handleError = (event) => {
+        event.preventDefault();
+        stopWorker();
+        if (pending) settle().reject(new Error(event.message || 'The solver worker stopped unexpectedly'));
+    };
+
+    const start = () => {
+        worker = new Worker(new URL('./solverWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = handleMessage;
+        worker.onerror = handleError;
+    };
+
+    const cancel = () => {
+        if (!pending || pending.cancelTimer !== undefined) return;
+        worker.postMessage({ type: 'cancel', id: pending.id });
+        pending.cancelTimer = setTimeout(stop, CANCEL_GRACE);
+    };
+
+    const run = (job, onProgress) => {
+        stop();
+        if (!worker) start();
+        const id = ++nextId;
+        return new Promise((resolve, reject) => {
+            pending = { id, resolve, reject, onProgress, steps: [], cancelTimer: undefined };
+            worker.postMessage({ type: 'start', id, job });
+        });
+    };
+
+    const dispose = () => {
+        stop();
+        stopWorker();
+    };
+
+    return { run, cancel, dispose };
+};
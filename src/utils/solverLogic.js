@@ -1,8 +1,13 @@
 // src/utils/solverLogic.js
+import { floatArithmetic, parseEntry, createCountingArithmetic } from './arithmetic';
 
 // Helper to deep copy matrix to avoid mutation issues
 const copyMatrix = (m) => m.map(row => [...row]);
 const copyVector = (v) => [...v];
+const identityMatrix = (n) => Array(n).fill(0).map((_, i) => Array(n).fill(0).map((_, j) => (i === j ? 1 : 0)));
+const zeroMatrix = (n) => Array(n).fill(0).map(() => Array(n).fill(0));
+const transpose = (m) => m[0].map((_, j) => m.map(row => row[j]));
+const copyFactors = (factors) => Object.fromEntries(Object.entries(factors).map(([name, m]) => [name, copyMatrix(m)]));
 
 /**
  * Standard Result Format:
@@ -11,137 +16,503 @@ const copyVector = (v) => [...v];
  *   solution: [],
  *   converged: boolean
  * }
+ * Factorization methods also attach `factors` (e.g. { L, U, P }) to each step and to the result;
+ * `highlights.factorCells` maps a factor name to the cells being computed in it.
+ * Gauss, Gauss-Jordan, LU, Cholesky and LDLᵀ also accept a list of right-hand sides [b₁, b₂, ...]:
+ * their steps then carry the n×k block `rhs` instead of `vector`, and the result lists one x per
+ * column in `solutions` (`solution` is still the one for b₁).
+ * Every step carries `operations`, the multiplications/divisions and additions/subtractions done
+ * so far split by phase (see createStepLog), and the result carries the final totals.
  */
 
+// --- Operation Counting (shared by all solvers) ---
+// Phases the counts are split into, in the order they are displayed
+export const OPERATION_PHASES = {
+    setup: 'Setup',
+    elimination: 'Elimination',
+    factorization: 'Factorization',
+    normalization: 'Normalization',
+    forwardSubstitution: 'Forward substitution',
+    backSubstitution: 'Back substitution',
+    cofactor: 'Cofactor expansion',
+    iteration: 'Iterations'
+};
+
+// Steps handed to an onSteps callback are passed on in blocks of this many
+export const STEP_CHUNK_SIZE = 100;
+
+/**
+ * Step log of one solver run. push(...steps) records steps, stamping each with the running totals
+ * of the counting context C as `operations` ({ addSub, mulDiv, phases }, see createCountingArithmetic;
+ * C = null leaves them as they are). last() is the latest step and `count` the number recorded.
+ * Every solver takes an optional onSteps(block) as its last argument: with it, each full block of
+ * STEP_CHUNK_SIZE steps is handed on as soon as the next step arrives and then dropped, so a long
+ * run never holds all of its steps (the latest one stays, so a solver can still finish it).
+ * take() returns the steps for the result: all of them without onSteps, otherwise it hands the
+ * rest on as a last block and returns [].
+ */
+const createStepLog = (C, onSteps = null) => {
+    let block = [];
+    let latest = null;
+    let count = 0;
+    return {
+        push(...items) {
+            for (const item of items) {
+                if (onSteps && block.length >= STEP_CHUNK_SIZE) {
+                    onSteps(block);
+                    block = [];
+                }
+                latest = C ? { ...item, operations: C.snapshot() } : item;
+                block.push(latest);
+                count++;
+            }
+        },
+        last: () => latest,
+        get count() {
+            return count;
+        },
+        take() {
+            if (!onSteps) return block;
+            if (block.length > 0) onSteps(block);
+            block = [];
+            return [];
+        }
+    };
+};
+
+// Sum of two operation counts, phase by phase (for a solver that runs another one)
+const addOperations = (a, b) => {
+    let phases = {};
+    for (const [name, c] of [...Object.entries(a.phases), ...Object.entries(b.phases)]) {
+        phases[name] = { addSub: (phases[name]?.addSub ?? 0) + c.addSub, mulDiv: (phases[name]?.mulDiv ?? 0) + c.mulDiv };
+    }
+    return { addSub: a.addSub + b.addSub, mulDiv: a.mulDiv + b.mulDiv, phases };
+};
+
+// Σ a[j]·x[j] for j in [from, to) except `skip`, without the trivial 0 + first term so that the
+// counted additions match the textbook formulas (the value is the same); null for no terms
+const sumProducts = (F, a, x, from, to, skip = -1) => {
+    let sum = null;
+    for (let j = from; j < to; j++) {
+        if (j === skip) continue;
+        let term = F.mul(a[j], x[j]);
+        sum = sum === null ? term : F.add(sum, term);
+    }
+    return sum;
+};
+
+// b - sum, where an empty sum (null) costs no subtraction
+const subtractSum = (F, b, sum) => (sum === null ? b : F.sub(b, sum));
+
+// --- Singularity Detection (shared by the direct methods) ---
+export const PIVOT_TOLERANCE = 1e-10;
+
+// Human-readable names for the `status` carried by direct-method results
+export const STATUS_LABELS = {
+    'solved': "Solved",
+    'singular': "Singular Matrix",
+    'inconsistent': "Inconsistent System",
+    'underdetermined': "Infinitely Many Solutions",
+    'zero-pivot': "Zero Pivot",
+    'not-symmetric': "Not Symmetric",
+    'not-positive-definite': "Not Positive Definite"
+};
+
+// Largest absolute entry of A; pivots are compared against tolerance * scale.
+const matrixScale = (A) => A.reduce((max, row) => row.reduce((m, v) => Math.max(m, Math.abs(v)), max), 0) || 1;
+
+// Converts input entries into elements of the arithmetic context F (floats or exact rationals)
+const toElements = (F, m) => m.map(row => row.map(F.from));
+
+// Right-hand sides as an n×k block of elements of F; `vector` is either b or a list of columns [b₁, b₂, ...]
+const isMultipleRHS = (vector) => Array.isArray(vector[0]);
+const toRHS = (F, vector) => (isMultipleRHS(vector)
+    ? vector[0].map((_, i) => vector.map(column => F.from(column[i])))
+    : vector.map(val => [F.from(val)]));
+const rhsColumn = (B, c) => B.map(row => row[c]);
+const rhsCount = (B) => B[0]?.length ?? 1;
+
+// Step fields for the right-hand side: a plain `vector` for a single b, the `rhs` block otherwise
+const rhsFields = (B) => (rhsCount(B) === 1 ? { vector: rhsColumn(B, 0) } : { rhs: copyMatrix(B) });
+
+// Runs solveColumn(b, name) for every column of B, naming the columns b1, b2, ... when there are several
+const eachRHS = (B, solveColumn) => {
+    let k = rhsCount(B);
+    return Array.from({ length: k }, (_, c) => solveColumn(rhsColumn(B, c), k > 1 ? `b${c + 1}` : 'b'));
+};
+
+// Result fields for the solutions X (one per right-hand side)
+const solutionFields = (X) => (X.length === 1 ? { solution: X[0] } : { solution: X[0], solutions: X });
+
+// Absolute pivot threshold for A in context F (exact contexts only treat 0 as zero)
+const pivotThreshold = (F, A, pivotTolerance) => pivotTolerance * matrixScale(A.map(row => row.map(F.toNumber)));
+
+/**
+ * Rank and consistency of Ax = b via row reduction of [A|b] with partial pivoting.
+ * Returns { rank, augmentedRank, consistent, inconsistentRow }, where inconsistentRow is
+ * the original index of an equation that reduces to 0 = c (c ≠ 0).
+ */
+export const analyzeRank = (matrix, vector, pivotTolerance = PIVOT_TOLERANCE, F = floatArithmetic) => {
+    let A = toElements(F, matrix);
+    let b = vector.map(F.from);
+    let m = A.length;
+    let n = m ? A[0].length : 0;
+    let order = A.map((_, i) => i);
+    let tol = pivotThreshold(F, A, pivotTolerance);
+    let rank = 0;
+
+    for (let col = 0; col < n && rank < m; col++) {
+        let pivotRow = rank;
+        for (let i = rank + 1; i < m; i++) {
+            if (F.greaterAbs(A[i][col], A[pivotRow][col])) pivotRow = i;
+        }
+        if (F.isZero(A[pivotRow][col], tol)) continue;
+
+        [A[rank], A[pivotRow]] = [A[pivotRow], A[rank]];
+        [b[rank], b[pivotRow]] = [b[pivotRow], b[rank]];
+        [order[rank], order[pivotRow]] = [order[pivotRow], order[rank]];
+
+        for (let i = rank + 1; i < m; i++) {
+            let factor = F.div(A[i][col], A[rank][col]);
+            for (let j = col; j < n; j++) A[i][j] = F.sub(A[i][j], F.mul(factor, A[rank][j]));
+            b[i] = F.sub(b[i], F.mul(factor, b[rank]));
+        }
+        rank++;
+    }
+
+    let bScale = Math.max(tol, pivotTolerance * b.reduce((max, v) => Math.max(max, Math.abs(F.toNumber(v))), 0));
+    let inconsistentRow = null;
+    for (let i = rank; i < m; i++) {
+        if (!F.isZero(b[i], bScale)) {
+            inconsistentRow = order[i];
+            break;
+        }
+    }
+
+    return {
+        rank,
+        augmentedRank: inconsistentRow === null ? rank : rank + 1,
+        consistent: inconsistentRow === null,
+        inconsistentRow
+    };
+};
+
+// Records the breakdown step and builds the result when elimination hits a (near-)zero pivot at row k.
+// Without pivoting a zero pivot does not imply singularity, so the rank decides the status.
+// With several right-hand sides the system is inconsistent as soon as one column is.
+const singularResult = (A, B, steps, k, original, pivotTolerance, F, extra = {}) => {
+    let columns = isMultipleRHS(original.vector) ? original.vector : [original.vector];
+    let infos = columns.map(b => analyzeRank(original.matrix, b, pivotTolerance, F));
+    let failed = infos.findIndex(info => !info.consistent);
+    let info = infos[Math.max(failed, 0)];
+    let bName = columns.length > 1 ? `b${failed + 1}` : 'b';
+    let n = A.length;
+    let status, message;
+
+    if (info.rank === n) {
+        status = 'zero-pivot';
+        message = `Zero pivot at A[${k}][${k}] but the matrix is nonsingular (rank ${n}). Use partial pivoting.`;
+    } else if (!info.consistent) {
+        status = 'inconsistent';
+        message = `System is inconsistent: rank(A) = ${info.rank} < rank([A|${bName}]) = ${info.augmentedRank}. Row ${info.inconsistentRow} (equation ${info.inconsistentRow + 1}) reduces to 0 = c, so there is no solution.`;
+    } else {
+        status = 'singular';
+        message = `Matrix is singular: rank(A) = rank([A|b]) = ${info.rank} < ${n}, so there are infinitely many solutions (${n - info.rank} free variable${n - info.rank > 1 ? 's' : ''}).`;
+    }
+
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        description: `✗ Pivot A[${k}][${k}] = ${F.formatSci(A[k][k])} is zero${F.exact ? '' : ` within tolerance ${pivotTolerance.toExponential(0)}`}. ${message}`,
+        highlights: { rows: [k], cells: [[k, k]] },
+        status,
+        ...extra
+    });
+
+    return {
+        steps: steps.take(),
+        solution: null,
+        type: 'direct',
+        exact: F.exact,
+        status,
+        message,
+        rank: info.rank,
+        row: status === 'inconsistent' ? info.inconsistentRow : k,
+        operations: F.snapshot()
+    };
+};
+
+// Back substitution on the upper triangular system left by forward elimination,
+// once per column of B; returns one solution per right-hand side.
+const backSubstituteUpper = (A, B, steps, F) => {
+    let n = A.length;
+    let k = rhsCount(B);
+    F.setPhase('backSubstitution');
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        description: "Forward elimination complete. Starting Back Substitution.",
+        highlights: {}
+    });
+
+    return Array.from({ length: k }, (_, c) => {
+        let b = rhsColumn(B, c);
+        let x = new Array(n).fill(F.from(0));
+        for (let i = n - 1; i >= 0; i--) {
+            let sum = sumProducts(F, A[i], x, i + 1, n);
+            x[i] = F.div(subtractSum(F, b[i], sum), A[i][i]);
+
+            steps.push({
+                matrix: copyMatrix(A),
+                ...rhsFields(B),
+                description: `Solving x[${i}]${k > 1 ? ` for b${c + 1}` : ''}: (${F.format(b[i])} - ${F.format(sum ?? F.from(0))}) / ${F.format(A[i][i])} = ${F.format(x[i], 4)}`,
+                highlights: { rows: [i], rhsCols: [c] }
+            });
+        }
+        return x;
+    });
+};
+
 // --- DIRECT METHOD: Gauss Elimination (Basic) ---
-export const solveGaussElimination = (matrix, vector) => {
-    let A = copyMatrix(matrix);
-    let b = copyVector(vector);
+export const solveGaussElimination = (matrix, vector, pivotTolerance = PIVOT_TOLERANCE, F = floatArithmetic, onSteps = null) => {
+    F = createCountingArithmetic(F);
+    let A = toElements(F, matrix);
+    let B = toRHS(F, vector);
     let n = A.length;
-    let steps = [];
+    let steps = createStepLog(F, onSteps);
+    let tol = pivotThreshold(F, A, pivotTolerance);
+    F.setPhase('elimination');
 
     steps.push({
         matrix: copyMatrix(A),
-        vector: copyVector(b),
+        ...rhsFields(B),
         description: "Gauss Elimination (NO PIVOTING) - Forward elimination without row swaps",
         highlights: {}
     });
 
     // 1. Forward Elimination (NO PIVOTING)
     for (let k = 0; k < n; k++) {
+        if (F.isZero(A[k][k], tol)) {
+            return singularResult(A, B, steps, k, { matrix, vector }, pivotTolerance, F);
+        }
+
         // Record step: Pivot Selection
         steps.push({
             matrix: copyMatrix(A),
-            vector: copyVector(b),
-            description: `[NO PIVOTING] Step ${k+1}: Use diagonal element A[${k}][${k}] = ${A[k][k].toFixed(2)} as pivot (no row search)`,
+            ...rhsFields(B),
+            description: `[NO PIVOTING] Step ${k+1}: Use diagonal element A[${k}][${k}] = ${F.format(A[k][k])} as pivot (no row search)`,
             highlights: { cells: [[k, k]] }
         });
 
         for (let i = k + 1; i < n; i++) {
-            let factor = A[i][k] / A[k][k];
+            let factor = F.div(A[i][k], A[k][k]);
             
             steps.push({
                 matrix: copyMatrix(A),
-                vector: copyVector(b),
-                description: `Eliminating Row ${i}: R${i} = R${i} - (${factor.toFixed(2)}) * R${k}`,
+                ...rhsFields(B),
+                description: `Eliminating Row ${i}: R${i} = R${i} - (${F.format(factor)}) * R${k}`,
                 highlights: { rows: [i, k], cells: [[i, k]] }
             });
 
-            for (let j = k; j < n; j++) {
-                A[i][j] = A[i][j] - factor * A[k][j];
+            // A[i][k] becomes zero by construction, so it is set rather than computed
+            A[i][k] = F.from(0);
+            for (let j = k + 1; j < n; j++) {
+                A[i][j] = F.sub(A[i][j], F.mul(factor, A[k][j]));
             }
-            b[i] = b[i] - factor * b[k];
+            B[i] = B[i].map((val, c) => F.sub(val, F.mul(factor, B[k][c])));
         }
     }
 
     // 2. Back Substitution
-    let x = new Array(n).fill(0);
-    steps.push({
-        matrix: copyMatrix(A),
-        vector: copyVector(b),
-        description: "Forward elimination complete. Starting Back Substitution.",
-        highlights: {}
-    });
+    let X = backSubstituteUpper(A, B, steps, F);
 
-    for (let i = n - 1; i >= 0; i--) {
-        let sum = 0;
-        for (let j = i + 1; j < n; j++) {
-            sum += A[i][j] * x[j];
+    return { steps: steps.take(), ...solutionFields(X), type: 'direct', exact: F.exact, status: 'solved', rank: n, operations: F.snapshot() };
+};
+
+// --- ITERATION SETTINGS: Shared by all iterative methods ---
+
+export const STOPPING_CRITERIA = {
+    absolute: 'Absolute change ‖xᵏ⁺¹ − xᵏ‖',
+    relative: 'Relative change ‖xᵏ⁺¹ − xᵏ‖ / ‖xᵏ⁺¹‖',
+    residual: 'Relative residual ‖b − Axᵏ⁺¹‖ / ‖b‖'
+};
+
+/**
+ * Settings accepted by every iterative solver (missing fields fall back to these):
+ * x0 (initial guess, null = zeros), tolerance, maxIter,
+ * criterion (a key of STOPPING_CRITERIA) and norm ('2' or 'inf') used by the stopping test.
+ */
+export const DEFAULT_ITERATION_SETTINGS = { x0: null, tolerance: 0.001, maxIter: 50, criterion: 'absolute', norm: '2' };
+
+const withDefaults = (settings) => ({ ...DEFAULT_ITERATION_SETTINGS, ...settings });
+
+const vectorNorm = (v, norm) => (norm === 'inf'
+    ? v.reduce((max, val) => Math.max(max, Math.abs(val)), 0)
+    : Math.sqrt(v.reduce((sum, val) => sum + val * val, 0)));
+
+// Initial guess x⁰ as elements of F
+const initialGuess = (settings, n, F = floatArithmetic) =>
+    (settings.x0 ? settings.x0.map(F.from) : new Array(n).fill(F.from(0)));
+
+const describeInitialGuess = (settings) =>
+    (settings.x0?.some(v => parseEntry(v) !== 0) ? `x⁰ = [${settings.x0.map(v => parseEntry(v)).join(', ')}]` : 'All zeros');
+
+// Symbol of the stopping measure, e.g. "‖Δx‖∞/‖x‖∞"
+export const stoppingLabel = (settings) => {
+    const { criterion, norm } = withDefaults(settings);
+    const sub = norm === 'inf' ? '∞' : '₂';
+    if (criterion === 'relative') return `‖Δx‖${sub}/‖x‖${sub}`;
+    if (criterion === 'residual') return `‖r‖${sub}/‖b‖${sub}`;
+    return `‖Δx‖${sub}`;
+};
+
+// Value compared with the tolerance after an iteration from x to xNew (all floats)
+const stoppingMeasure = (settings, matrix, vector, xNew, x) => {
+    const { criterion, norm } = settings;
+    if (criterion === 'residual') {
+        let r = matVec(matrix, xNew).map((val, i) => vector[i] - val);
+        return vectorNorm(r, norm) / (vectorNorm(vector, norm) || 1);
+    }
+    let change = vectorNorm(xNew.map((val, i) => val - x[i]), norm);
+    if (criterion === 'relative') {
+        let size = vectorNorm(xNew, norm);
+        return size > 0 ? change / size : change;
+    }
+    return change;
+};
+
+// --- Termination: convergence, iteration limit, or early stop on detected failure ---
+
+export const TERMINATION_LABELS = {
+    'converged': 'Converged',
+    'max-iterations': 'Max iterations reached',
+    'diverged': 'Diverged',
+    'blow-up': 'Blow-up',
+    'stagnated': 'Stagnated',
+    'oscillating': 'Oscillating',
+    'breakdown': 'Breakdown'
+};
+
+const DETECTION_WINDOW = 5;       // iterations looked back for divergence; twice this for stagnation/oscillation
+const BLOW_UP_FACTOR = 1e10;      // error this many times the first one (or non-finite) stops the run
+const STAGNATION_SPREAD = 1e-3;   // relative spread of the error below which it counts as flat
+
+/**
+ * Checks the error history of an iterative method for failure:
+ * blow-up (non-finite or huge error), divergence (error rising every iteration over the window
+ * and at least doubling), oscillation (error alternating up and down with no real decrease) and
+ * stagnation (error flat to within 0.1%). Returns { reason, detail } or null.
+ */
+const detectFailure = (errors) => {
+    let k = errors.length - 1;
+    let error = errors[k];
+    if (!Number.isFinite(error) || error > BLOW_UP_FACTOR * Math.max(errors[0], 1)) {
+        return { reason: 'blow-up', detail: `error ${Number.isFinite(error) ? error.toExponential(2) : 'overflowed'}, more than ${BLOW_UP_FACTOR.toExponential(0)} times the first iteration` };
+    }
+    if (k >= DETECTION_WINDOW) {
+        let window = errors.slice(k - DETECTION_WINDOW);
+        if (window.every((val, i) => i === 0 || val > window[i - 1]) && error > 2 * window[0]) {
+            return { reason: 'diverged', detail: `error grew ${(error / window[0]).toFixed(1)}× over the last ${DETECTION_WINDOW} iterations` };
+        }
+    }
+    if (k >= 2 * DETECTION_WINDOW) {
+        let window = errors.slice(k - 2 * DETECTION_WINDOW);
+        let diffs = window.slice(1).map((val, i) => val - window[i]);
+        if (error > 0.5 * window[0] && diffs.every((d, i) => i === 0 || d * diffs[i - 1] < 0)) {
+            return { reason: 'oscillating', detail: `error alternated up and down for ${2 * DETECTION_WINDOW} iterations without decreasing` };
+        }
+        if (Math.max(...window) <= Math.min(...window) * (1 + STAGNATION_SPREAD)) {
+            return { reason: 'stagnated', detail: `error stayed at ${error.toExponential(2)} for ${2 * DETECTION_WINDOW} iterations` };
         }
-        x[i] = (b[i] - sum) / A[i][i];
-        
-        steps.push({
-            matrix: copyMatrix(A),
-            vector: copyVector(b),
-            description: `Solving x[${i}]: (${b[i].toFixed(2)} - ${sum.toFixed(2)}) / ${A[i][i].toFixed(2)} = ${x[i].toFixed(4)}`,
-            highlights: { rows: [i] }
-        });
     }
+    return null;
+};
 
-    return { steps, solution: x, type: 'direct' };
+// Builds an iterative result and marks the last step with the termination reason (for the error chart).
+// The operation totals are those stamped on the last step.
+const finishIteration = (steps, solution, reason, detail = '', extra = {}) => {
+    let last = steps.last();
+    let termination = { reason, iteration: steps.count - 1, detail };
+    last.termination = termination;
+    if (!['converged', 'max-iterations', 'breakdown'].includes(reason)) {
+        last.description += ` ✗ Stopped early: ${TERMINATION_LABELS[reason]} (${detail}).`;
+    }
+    return { steps: steps.take(), solution, converged: reason === 'converged', type: 'iterative', termination, operations: last.operations, ...extra };
 };
 
 // --- ITERATIVE METHOD: Jacobi Iteration ---
-export const solveJacobi = (matrix, vector, tolerance = 0.001, maxIter = 50) => {
-    let n = matrix.length;
-    let x = new Array(n).fill(0); // Initial guess
-    let steps = [];
+export const solveJacobi = (matrix, vector, settings = {}, F = floatArithmetic, onSteps = null) => {
+    settings = withDefaults(settings);
+    F = createCountingArithmetic(F);
+    let A = toElements(F, matrix);
+    let b = vector.map(F.from);
+    let n = A.length;
+    let x = initialGuess(settings, n, F);
+    let numericA = A.map(row => row.map(F.toNumber));
+    let numericB = b.map(F.toNumber);
+    let steps = createStepLog(F, onSteps);
     let errors = [];
+    let analysis = analyzeConvergence(matrix, vector, settings);
+    // Rows that break diagonal dominance stay highlighted throughout the run
+    let dominanceHighlights = { dominance: { violated: analysis.dominance.violatingRows, weak: analysis.dominance.weakRows } };
 
     steps.push({
-        matrix: matrix,
-        vector: vector,
+        matrix: A,
+        vector: b,
         xCurrent: [...x],
-        description: "Initial Guess: All zeros",
-        highlights: {}
+        description: `Initial Guess: ${describeInitialGuess(settings)}. Pre-analysis: ${describePrediction(analysis, 'jacobi')}`,
+        highlights: dominanceHighlights
     });
 
-    for (let iter = 0; iter < maxIter; iter++) {
+    F.setPhase('iteration');
+    for (let iter = 0; iter < settings.maxIter; iter++) {
         let xNew = new Array(n).fill(0);
         
         for (let i = 0; i < n; i++) {
-            let sum = 0;
-            for (let j = 0; j < n; j++) {
-                if (i !== j) sum += matrix[i][j] * x[j];
-            }
-            xNew[i] = (vector[i] - sum) / matrix[i][i];
+            let sum = sumProducts(F, A[i], x, 0, n, i);
+            xNew[i] = F.div(subtractSum(F, b[i], sum), A[i][i]);
         }
 
-        // Calculate Error (Euclidean Norm)
-        let errorSum = 0;
-        for(let i=0; i<n; i++) errorSum += Math.pow(xNew[i] - x[i], 2);
-        let error = Math.sqrt(errorSum);
+        // Stopping measure (absolute/relative change or relative residual)
+        let error = stoppingMeasure(settings, numericA, numericB, xNew.map(F.toNumber), x.map(F.toNumber));
         
         errors.push(error);
         steps.push({
-            matrix: matrix,
-            vector: vector,
+            matrix: A,
+            vector: b,
             xCurrent: [...xNew],
-            description: `Iteration ${iter + 1}: Error = ${error.toExponential(2)}`,
-            highlights: {},
+            description: `Iteration ${iter + 1}: ${stoppingLabel(settings)} = ${error.toExponential(2)}`,
+            highlights: dominanceHighlights,
             errorHistory: [...errors]
         });
 
         x = [...xNew];
 
-        if (error < tolerance) {
-            return { steps, solution: x, converged: true, type: 'iterative' };
+        if (error < settings.tolerance) {
+            return finishIteration(steps, x, 'converged', '', { analysis });
+        }
+        let failure = detectFailure(errors);
+        if (failure) {
+            return finishIteration(steps, x, failure.reason, failure.detail, { analysis });
         }
     }
 
-    return { steps, solution: x, converged: false, type: 'iterative' };
+    return finishIteration(steps, x, 'max-iterations', '', { analysis });
 };
 
 // --- DIRECT METHOD: Gauss Elimination with Partial Pivoting ---
-export const solveGaussEliminationWithPivoting = (matrix, vector) => {
-    let A = copyMatrix(matrix);
-    let b = copyVector(vector);
+export const solveGaussEliminationWithPivoting = (matrix, vector, pivotTolerance = PIVOT_TOLERANCE, F = floatArithmetic, onSteps = null) => {
+    F = createCountingArithmetic(F);
+    let A = toElements(F, matrix);
+    let B = toRHS(F, vector);
     let n = A.length;
-    let steps = [];
+    let steps = createStepLog(F, onSteps);
+    let tol = pivotThreshold(F, A, pivotTolerance);
+    F.setPhase('elimination');
 
     steps.push({
         matrix: copyMatrix(A),
-        vector: copyVector(b),
+        ...rhsFields(B),
         description: "Gauss Elimination with PARTIAL PIVOTING - Search for largest pivot to improve stability",
         highlights: {}
     });
@@ -151,7 +522,7 @@ export const solveGaussEliminationWithPivoting = (matrix, vector) => {
         // Find pivot row
         let pivotRow = k;
         for (let i = k + 1; i < n; i++) {
-            if (Math.abs(A[i][k]) > Math.abs(A[pivotRow][k])) {
+            if (F.greaterAbs(A[i][k], A[pivotRow][k])) {
                 pivotRow = i;
             }
         }
@@ -159,80 +530,67 @@ export const solveGaussEliminationWithPivoting = (matrix, vector) => {
         // Swap rows if necessary
         if (pivotRow !== k) {
             [A[k], A[pivotRow]] = [A[pivotRow], A[k]];
-            [b[k], b[pivotRow]] = [b[pivotRow], b[k]];
+            [B[k], B[pivotRow]] = [B[pivotRow], B[k]];
             steps.push({
                 matrix: copyMatrix(A),
-                vector: copyVector(b),
-                description: `[PIVOTING] Swap Row ${k} ↔ Row ${pivotRow} (found larger pivot: ${A[k][k].toFixed(2)})`,
+                ...rhsFields(B),
+                description: `[PIVOTING] Swap Row ${k} ↔ Row ${pivotRow} (found larger pivot: ${F.format(A[k][k])})`,
                 highlights: { rows: [k, pivotRow] }
             });
         }
 
+        if (F.isZero(A[k][k], tol)) {
+            return singularResult(A, B, steps, k, { matrix, vector }, pivotTolerance, F);
+        }
+
         // Record step: Pivot Selection
         steps.push({
             matrix: copyMatrix(A),
-            vector: copyVector(b),
-            description: `[PIVOTING] Step ${k+1}: Selected pivot A[${k}][${k}] = ${A[k][k].toFixed(2)} (largest in column)`,
+            ...rhsFields(B),
+            description: `[PIVOTING] Step ${k+1}: Selected pivot A[${k}][${k}] = ${F.format(A[k][k])} (largest in column)`,
             highlights: { cells: [[k, k]] }
         });
 
         for (let i = k + 1; i < n; i++) {
-            let factor = A[i][k] / A[k][k];
+            let factor = F.div(A[i][k], A[k][k]);
             
             steps.push({
                 matrix: copyMatrix(A),
-                vector: copyVector(b),
-                description: `Eliminating Row ${i}: R${i} = R${i} - (${factor.toFixed(2)}) * R${k}`,
+                ...rhsFields(B),
+                description: `Eliminating Row ${i}: R${i} = R${i} - (${F.format(factor)}) * R${k}`,
                 highlights: { rows: [i, k], cells: [[i, k]] }
             });
 
-            for (let j = k; j < n; j++) {
-                A[i][j] = A[i][j] - factor * A[k][j];
+            // A[i][k] becomes zero by construction, so it is set rather than computed
+            A[i][k] = F.from(0);
+            for (let j = k + 1; j < n; j++) {
+                A[i][j] = F.sub(A[i][j], F.mul(factor, A[k][j]));
             }
-            b[i] = b[i] - factor * b[k];
+            B[i] = B[i].map((val, c) => F.sub(val, F.mul(factor, B[k][c])));
         }
     }
 
     // 2. Back Substitution
-    let x = new Array(n).fill(0);
-    steps.push({
-        matrix: copyMatrix(A),
-        vector: copyVector(b),
-        description: "Forward elimination complete. Starting Back Substitution.",
-        highlights: {}
-    });
-
-    for (let i = n - 1; i >= 0; i--) {
-        let sum = 0;
-        for (let j = i + 1; j < n; j++) {
-            sum += A[i][j] * x[j];
-        }
-        x[i] = (b[i] - sum) / A[i][i];
-        
-        steps.push({
-            matrix: copyMatrix(A),
-            vector: copyVector(b),
-            description: `Solving x[${i}]: (${b[i].toFixed(2)} - ${sum.toFixed(2)}) / ${A[i][i].toFixed(2)} = ${x[i].toFixed(4)}`,
-            highlights: { rows: [i] }
-        });
-    }
+    let X = backSubstituteUpper(A, B, steps, F);
 
-    return { steps, solution: x, type: 'direct' };
+    return { steps: steps.take(), ...solutionFields(X), type: 'direct', exact: F.exact, status: 'solved', rank: n, operations: F.snapshot() };
 };
 
 // --- DIRECT METHOD: Gauss-Jordan Elimination ---
-export const solveGaussJordan = (matrix, vector) => {
-    let A = copyMatrix(matrix);
-    let b = copyVector(vector);
+export const solveGaussJordan = (matrix, vector, pivotTolerance = PIVOT_TOLERANCE, F = floatArithmetic, onSteps = null) => {
+    F = createCountingArithmetic(F);
+    let A = toElements(F, matrix);
+    let B = toRHS(F, vector);
     let n = A.length;
-    let steps = [];
+    let steps = createStepLog(F, onSteps);
+    let tol = pivotThreshold(F, A, pivotTolerance);
 
     // 1. Forward and Backward Elimination (to RREF)
     for (let k = 0; k < n; k++) {
         // Find pivot row (partial pivoting for stability)
         let pivotRow = k;
         for (let i = k + 1; i < n; i++) {
-            if (Math.abs(A[i][k]) > Math.abs(A[pivotRow][k])) {
+            if (F.greaterAbs(A[i][k], A[pivotRow][k])) {
                 pivotRow = i;
             }
         }
@@ -240,126 +598,2076 @@ export const solveGaussJordan = (matrix, vector) => {
         // Swap rows if necessary
         if (pivotRow !== k) {
             [A[k], A[pivotRow]] = [A[pivotRow], A[k]];
-            [b[k], b[pivotRow]] = [b[pivotRow], b[k]];
+            [B[k], B[pivotRow]] = [B[pivotRow], B[k]];
             steps.push({
                 matrix: copyMatrix(A),
-                vector: copyVector(b),
+                ...rhsFields(B),
                 description: `Pivoting: Swap Row ${k} with Row ${pivotRow}`,
                 highlights: { rows: [k, pivotRow] }
             });
         }
 
+        if (F.isZero(A[k][k], tol)) {
+            return singularResult(A, B, steps, k, { matrix, vector }, pivotTolerance, F);
+        }
+
         // Record step: Pivot Selection
         steps.push({
             matrix: copyMatrix(A),
-            vector: copyVector(b),
-            description: `Step ${k+1}: Select pivot A[${k}][${k}] = ${A[k][k].toFixed(2)}`,
+            ...rhsFields(B),
+            description: `Step ${k+1}: Select pivot A[${k}][${k}] = ${F.format(A[k][k])}`,
             highlights: { cells: [[k, k]] }
         });
 
-        // Normalize pivot row
+        // Normalize pivot row (the pivot itself becomes 1)
+        F.setPhase('normalization');
         let pivotValue = A[k][k];
-        for (let j = k; j < n; j++) {
-            A[k][j] = A[k][j] / pivotValue;
+        A[k][k] = F.from(1);
+        for (let j = k + 1; j < n; j++) {
+            A[k][j] = F.div(A[k][j], pivotValue);
         }
-        b[k] = b[k] / pivotValue;
+        B[k] = B[k].map(val => F.div(val, pivotValue));
 
         steps.push({
             matrix: copyMatrix(A),
-            vector: copyVector(b),
-            description: `Normalize Row ${k}: Divide by ${pivotValue.toFixed(2)}`,
+            ...rhsFields(B),
+            description: `Normalize Row ${k}: Divide by ${F.format(pivotValue)}`,
             highlights: { rows: [k] }
         });
 
         // Eliminate column (both above and below pivot)
+        F.setPhase('elimination');
         for (let i = 0; i < n; i++) {
             if (i !== k) {
                 let factor = A[i][k];
                 
                 steps.push({
                     matrix: copyMatrix(A),
-                    vector: copyVector(b),
-                    description: `Eliminating Row ${i}: R${i} = R${i} - (${factor.toFixed(2)}) * R${k}`,
+                    ...rhsFields(B),
+                    description: `Eliminating Row ${i}: R${i} = R${i} - (${F.format(factor)}) * R${k}`,
                     highlights: { rows: [i, k], cells: [[i, k]] }
                 });
 
-                for (let j = k; j < n; j++) {
-                    A[i][j] = A[i][j] - factor * A[k][j];
+                A[i][k] = F.from(0);
+                for (let j = k + 1; j < n; j++) {
+                    A[i][j] = F.sub(A[i][j], F.mul(factor, A[k][j]));
                 }
-                b[i] = b[i] - factor * b[k];
+                B[i] = B[i].map((val, c) => F.sub(val, F.mul(factor, B[k][c])));
             }
         }
     }
 
-    // 2. Extract solution (diagonal matrix form gives direct solution)
-    let x = new Array(n).fill(0);
-    for (let i = 0; i < n; i++) {
-        x[i] = b[i];
-    }
+    // 2. Extract solution (diagonal matrix form gives direct solution, one per column of B)
+    let X = Array.from({ length: rhsCount(B) }, (_, c) => rhsColumn(B, c));
 
     steps.push({
         matrix: copyMatrix(A),
-        vector: copyVector(b),
+        ...rhsFields(B),
         description: "Gauss-Jordan elimination complete. Matrix is in reduced row echelon form (RREF).",
         highlights: {}
     });
 
-    return { steps, solution: x, type: 'direct' };
+    return { steps: steps.take(), ...solutionFields(X), type: 'direct', exact: F.exact, status: 'solved', rank: n, operations: F.snapshot() };
 };
 
-// --- ITERATIVE METHOD: Gauss-Seidel Iteration ---
-export const solveGaussSeidel = (matrix, vector, tolerance = 0.001, maxIter = 50) => {
+// --- DIRECT METHOD: Matrix Inverse via Gauss-Jordan on [A | I] ---
+// Steps show the n×2n augmented matrix with `divider: n` marking where the identity block starts;
+// the right block becomes A⁻¹. There is no right-hand side, so steps carry no vector.
+export const solveInverse = (matrix, pivotTolerance = PIVOT_TOLERANCE, F = floatArithmetic, onSteps = null) => {
+    F = createCountingArithmetic(F);
     let n = matrix.length;
-    let x = new Array(n).fill(0); // Initial guess
-    let steps = [];
-    let errors = [];
+    let A = toElements(F, matrix).map((row, i) => [...row, ...Array.from({ length: n }, (_, j) => F.from(i === j ? 1 : 0))]);
+    let steps = createStepLog(F, onSteps);
+    let tol = pivotThreshold(F, A.map(row => row.slice(0, n)), pivotTolerance);
+    const rightBlock = Array.from({ length: n }, (_, j) => n + j);
 
     steps.push({
-        matrix: matrix,
-        vector: vector,
-        xCurrent: [...x],
-        description: "Initial Guess: All zeros",
-        highlights: {}
+        matrix: copyMatrix(A),
+        divider: n,
+        description: "Inverse: augment A with the identity, [A | I], and reduce the left block to I",
+        highlights: { cols: rightBlock }
     });
 
-    for (let iter = 0; iter < maxIter; iter++) {
-        let xNew = [...x];
-        
-        for (let i = 0; i < n; i++) {
-            let sum = 0;
-            for (let j = 0; j < n; j++) {
-                if (j !== i) {
-                    if (j < i) {
-                        sum += matrix[i][j] * xNew[j]; // Use updated values
-                    } else {
-                        sum += matrix[i][j] * x[j]; // Use old values
-                    }
-                }
-            }
-            xNew[i] = (vector[i] - sum) / matrix[i][i];
+    for (let k = 0; k < n; k++) {
+        let pivotRow = k;
+        for (let i = k + 1; i < n; i++) {
+            if (F.greaterAbs(A[i][k], A[pivotRow][k])) pivotRow = i;
         }
 
-        // Calculate Error (Euclidean Norm)
-        let errorSum = 0;
-        for(let i=0; i<n; i++) errorSum += Math.pow(xNew[i] - x[i], 2);
-        let error = Math.sqrt(errorSum);
-        
-        errors.push(error);
+        if (pivotRow !== k) {
+            [A[k], A[pivotRow]] = [A[pivotRow], A[k]];
+            steps.push({
+                matrix: copyMatrix(A),
+                divider: n,
+                description: `Pivoting: Swap Row ${k} with Row ${pivotRow}`,
+                highlights: { rows: [k, pivotRow] }
+            });
+        }
+
+        if (F.isZero(A[k][k], tol)) {
+            let message = `Column ${k} has no non-zero pivot in Rows ${k}..${n - 1}, so A is singular and has no inverse.`;
+            steps.push({
+                matrix: copyMatrix(A),
+                divider: n,
+                description: `✗ Pivot A[${k}][${k}] = ${F.formatSci(A[k][k])} is zero${F.exact ? '' : ` within tolerance ${pivotTolerance.toExponential(0)}`}. ${message}`,
+                highlights: { rows: [k], cells: [[k, k]] },
+                status: 'singular'
+            });
+            let rank = analyzeRank(matrix, new Array(n).fill(0), pivotTolerance, F).rank;
+            return { steps: steps.take(), solution: null, inverse: null, type: 'direct', exact: F.exact, status: 'singular', message, rank, row: k, operations: F.snapshot() };
+        }
+
+        F.setPhase('normalization');
+        let pivotValue = A[k][k];
+        for (let j = 0; j < 2 * n; j++) {
+            A[k][j] = F.div(A[k][j], pivotValue);
+        }
         steps.push({
-            matrix: matrix,
-            vector: vector,
-            xCurrent: [...xNew],
-            description: `Iteration ${iter + 1}: Error = ${error.toExponential(2)}`,
-            highlights: {},
-            errorHistory: [...errors]
+            matrix: copyMatrix(A),
+            divider: n,
+            description: `Normalize Row ${k}: Divide by ${F.format(pivotValue)} (the identity block is scaled too)`,
+            highlights: { rows: [k], cells: [[k, k]] }
         });
 
-        x = [...xNew];
-
-        if (error < tolerance) {
-            return { steps, solution: x, converged: true, type: 'iterative' };
+        F.setPhase('elimination');
+        for (let i = 0; i < n; i++) {
+            if (i === k || F.isZero(A[i][k])) continue;
+            let factor = A[i][k];
+            for (let j = 0; j < 2 * n; j++) {
+                A[i][j] = F.sub(A[i][j], F.mul(factor, A[k][j]));
+            }
+            steps.push({
+                matrix: copyMatrix(A),
+                divider: n,
+                description: `Eliminating Row ${i}: R${i} = R${i} - (${F.format(factor)}) * R${k}`,
+                highlights: { rows: [i, k], cells: [[i, k]] }
+            });
         }
     }
 
-    return { steps, solution: x, converged: false, type: 'iterative' };
-};
\ No newline at end of file
+    let inverse = A.map(row => row.slice(n));
+    steps.push({
+        matrix: copyMatrix(A),
+        divider: n,
+        description: "Left block is now I, so the right block is A⁻¹: [A | I] → [I | A⁻¹]",
+        highlights: { cols: rightBlock }
+    });
+
+    return { steps: steps.take(), solution: null, inverse, type: 'direct', exact: F.exact, status: 'solved', rank: n, operations: F.snapshot() };
+};
+
+// --- DIRECT METHOD: Determinant from Elimination Pivots (optional cofactor expansion) ---
+export const COFACTOR_MAX_SIZE = 5;
+
+// det by cofactor expansion along the first row (n! terms, only for small matrices)
+const cofactorDeterminant = (A, F) => {
+    let n = A.length;
+    if (n === 1) return A[0][0];
+    let det = F.from(0);
+    for (let j = 0; j < n; j++) {
+        if (F.isZero(A[0][j])) continue;
+        let minor = A.slice(1).map(row => row.filter((_, c) => c !== j));
+        let term = F.mul(A[0][j], cofactorDeterminant(minor, F));
+        det = j % 2 === 0 ? F.add(det, term) : F.sub(det, term);
+    }
+    return det;
+};
+
+/**
+ * det(A) = (-1)^swaps · Π pivots, collected during elimination with partial pivoting.
+ * With cofactor = true (n ≤ COFACTOR_MAX_SIZE) the expansion along row 0 is traced as well:
+ * one step per term (-1)^j A[0][j] det(M[0][j]), where the minor M[0][j] drops Row 0 and Column j
+ * (both highlighted).
+ * Returns { steps, determinant, pivots, swaps, cofactorDeterminant, ... }; a column without a
+ * non-zero pivot gives det(A) = 0.
+ */
+export const solveDeterminant = (matrix, cofactor = false, pivotTolerance = PIVOT_TOLERANCE, F = floatArithmetic, onSteps = null) => {
+    F = createCountingArithmetic(F);
+    let original = toElements(F, matrix);
+    let A = copyMatrix(original);
+    let n = A.length;
+    let steps = createStepLog(F, onSteps);
+    let tol = pivotThreshold(F, A, pivotTolerance);
+    let pivots = [];
+    let swaps = 0;
+    let determinant = null;
+    F.setPhase('elimination');
+
+    steps.push({
+        matrix: copyMatrix(A),
+        description: "Determinant: eliminate to upper triangular form; each row swap flips the sign",
+        highlights: {}
+    });
+
+    for (let k = 0; k < n; k++) {
+        let pivotRow = k;
+        for (let i = k + 1; i < n; i++) {
+            if (F.greaterAbs(A[i][k], A[pivotRow][k])) pivotRow = i;
+        }
+        if (pivotRow !== k) {
+            [A[k], A[pivotRow]] = [A[pivotRow], A[k]];
+            swaps++;
+            steps.push({
+                matrix: copyMatrix(A),
+                description: `Swap Row ${k} with Row ${pivotRow}: sign becomes ${swaps % 2 === 0 ? '+' : '−'} (${swaps} swap${swaps === 1 ? '' : 's'})`,
+                highlights: { rows: [k, pivotRow] }
+            });
+        }
+
+        if (F.isZero(A[k][k], tol)) {
+            determinant = F.from(0);
+            steps.push({
+                matrix: copyMatrix(A),
+                description: `Column ${k} has no non-zero pivot in Rows ${k}..${n - 1}, so A is singular and det(A) = 0`,
+                highlights: { rows: [k], cells: [[k, k]] },
+                status: 'singular'
+            });
+            break;
+        }
+
+        pivots.push(A[k][k]);
+        steps.push({
+            matrix: copyMatrix(A),
+            description: `Pivot ${k + 1}: A[${k}][${k}] = ${F.format(A[k][k])}`,
+            highlights: { cells: [[k, k]] }
+        });
+
+        for (let i = k + 1; i < n; i++) {
+            if (F.isZero(A[i][k])) continue;
+            let factor = F.div(A[i][k], A[k][k]);
+            for (let j = k; j < n; j++) {
+                A[i][j] = F.sub(A[i][j], F.mul(factor, A[k][j]));
+            }
+            steps.push({
+                matrix: copyMatrix(A),
+                description: `Eliminating Row ${i}: R${i} = R${i} - (${F.format(factor)}) * R${k} (determinant unchanged)`,
+                highlights: { rows: [i, k], cells: [[i, k]] }
+            });
+        }
+    }
+
+    if (determinant === null) {
+        determinant = pivots.reduce((prod, p) => F.mul(prod, p), F.from(swaps % 2 === 0 ? 1 : -1));
+        steps.push({
+            matrix: copyMatrix(A),
+            description: `det(A) = ${swaps % 2 === 0 ? '+' : '−'}(${pivots.map(p => F.format(p)).join(' × ')}) = ${F.format(determinant)}`,
+            highlights: { cells: pivots.map((_, k) => [k, k]) }
+        });
+    }
+
+    let cofactorValue = null;
+    if (cofactor && n <= COFACTOR_MAX_SIZE) {
+        F.setPhase('cofactor');
+        let terms = [];
+        for (let j = 0; j < n; j++) {
+            let minor = original.slice(1).map(row => row.filter((_, c) => c !== j));
+            let minorDet = cofactorDeterminant(minor, F);
+            let term = F.mul(original[0][j], minorDet);
+            if (j % 2 === 1) term = F.neg(term);
+            terms.push(term);
+            steps.push({
+                matrix: copyMatrix(original),
+                description: `Cofactor expansion along Row 0, term ${j + 1}: (−1)^${j} · A[0][${j}] · det(M[0][${j}]) = ${j % 2 === 0 ? '' : '−'}${F.format(original[0][j])} · ${F.format(minorDet)} = ${F.format(term)}`,
+                highlights: { rows: [0], cols: [j], cells: [[0, j]] }
+            });
+        }
+        cofactorValue = terms.reduce((sum, t) => F.add(sum, t), F.from(0));
+        steps.push({
+            matrix: copyMatrix(original),
+            description: `Cofactor expansion: det(A) = ${terms.map(t => F.format(t)).join(' + ')} = ${F.format(cofactorValue)} (elimination gave ${F.format(determinant)})`,
+            highlights: {}
+        });
+    }
+
+    return {
+        steps: steps.take(),
+        solution: null,
+        determinant,
+        pivots,
+        swaps,
+        cofactorDeterminant: cofactorValue,
+        type: 'direct',
+        exact: F.exact,
+        status: 'solved',
+        operations: F.snapshot()
+    };
+};
+
+// --- ITERATIVE METHOD: Gauss-Seidel Iteration ---
+export const solveGaussSeidel = (matrix, vector, settings = {}, F = floatArithmetic, onSteps = null) => {
+    settings = withDefaults(settings);
+    F = createCountingArithmetic(F);
+    let A = toElements(F, matrix);
+    let b = vector.map(F.from);
+    let n = A.length;
+    let x = initialGuess(settings, n, F);
+    let numericA = A.map(row => row.map(F.toNumber));
+    let numericB = b.map(F.toNumber);
+    let steps = createStepLog(F, onSteps);
+    let errors = [];
+    let analysis = analyzeConvergence(matrix, vector, settings);
+    // Rows that break diagonal dominance stay highlighted throughout the run
+    let dominanceHighlights = { dominance: { violated: analysis.dominance.violatingRows, weak: analysis.dominance.weakRows } };
+
+    steps.push({
+        matrix: A,
+        vector: b,
+        xCurrent: [...x],
+        description: `Initial Guess: ${describeInitialGuess(settings)}. Pre-analysis: ${describePrediction(analysis, 'seidel')}`,
+        highlights: dominanceHighlights
+    });
+
+    F.setPhase('iteration');
+    for (let iter = 0; iter < settings.maxIter; iter++) {
+        let xNew = [...x];
+        
+        for (let i = 0; i < n; i++) {
+            // xNew holds the updated values for j < i and the old ones for j > i
+            let sum = sumProducts(F, A[i], xNew, 0, n, i);
+            xNew[i] = F.div(subtractSum(F, b[i], sum), A[i][i]);
+        }
+
+        // Stopping measure (absolute/relative change or relative residual)
+        let error = stoppingMeasure(settings, numericA, numericB, xNew.map(F.toNumber), x.map(F.toNumber));
+        
+        errors.push(error);
+        steps.push({
+            matrix: A,
+            vector: b,
+            xCurrent: [...xNew],
+            description: `Iteration ${iter + 1}: ${stoppingLabel(settings)} = ${error.toExponential(2)}`,
+            highlights: dominanceHighlights,
+            errorHistory: [...errors]
+        });
+
+        x = [...xNew];
+
+        if (error < settings.tolerance) {
+            return finishIteration(steps, x, 'converged', '', { analysis });
+        }
+        let failure = detectFailure(errors);
+        if (failure) {
+            return finishIteration(steps, x, failure.reason, failure.detail, { analysis });
+        }
+    }
+
+    return finishIteration(steps, x, 'max-iterations', '', { analysis });
+};
+// --- DIRECT METHOD: LU Decomposition (Doolittle / Crout) with Partial Pivoting ---
+
+// Triangular solves shared by the factorization methods. Each pushes its steps onto
+// `steps`, showing `factors` alongside and highlighting the diagonal of factor `name`.
+// F is the solver's counting context; a unit diagonal entry costs no division.
+const divideByDiagonal = (F, value, diagonal) => (F.toNumber(diagonal) === 1 ? value : F.div(value, diagonal));
+
+const forwardSubstitute = (L, b, steps, factors, name = 'L', F = floatArithmetic, rhsName = 'b') => {
+    let n = L.length;
+    let y = new Array(n).fill(F.from(0));
+    F.setPhase('forwardSubstitution');
+
+    steps.push({
+        matrix: copyMatrix(L),
+        vector: copyVector(b),
+        factors: copyFactors(factors),
+        description: `Forward substitution: solve ${name}y = ${rhsName} for y`,
+        highlights: {}
+    });
+
+    for (let i = 0; i < n; i++) {
+        let sum = sumProducts(F, L[i], y, 0, i);
+        y[i] = divideByDiagonal(F, subtractSum(F, b[i], sum), L[i][i]);
+
+        steps.push({
+            matrix: copyMatrix(L),
+            vector: copyVector(y),
+            factors: copyFactors(factors),
+            description: `Solving y[${i}]: (${F.format(b[i])} - ${F.format(sum ?? F.from(0))}) / ${F.format(L[i][i])} = ${F.format(y[i], 4)}`,
+            highlights: { rows: [i], factorCells: { [name]: [[i, i]] } }
+        });
+    }
+
+    return y;
+};
+
+const backSubstitute = (U, y, steps, factors, name = 'U', F = floatArithmetic) => {
+    let n = U.length;
+    let x = new Array(n).fill(F.from(0));
+    F.setPhase('backSubstitution');
+
+    steps.push({
+        matrix: copyMatrix(U),
+        vector: copyVector(y),
+        factors: copyFactors(factors),
+        description: `Back substitution: solve ${name}x = y for x`,
+        highlights: {}
+    });
+
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = sumProducts(F, U[i], x, i + 1, n);
+        x[i] = divideByDiagonal(F, subtractSum(F, y[i], sum), U[i][i]);
+
+        steps.push({
+            matrix: copyMatrix(U),
+            vector: copyVector(y),
+            factors: copyFactors(factors),
+            description: `Solving x[${i}]: (${F.format(y[i])} - ${F.format(sum ?? F.from(0))}) / ${F.format(U[i][i])} = ${F.format(x[i], 4)}`,
+            highlights: { rows: [i], factorCells: { [name]: [[i, i]] } }
+        });
+    }
+
+    return x;
+};
+
+// Forward substitution (Ly = Pb) followed by back substitution (Ux = y), once per right-hand side.
+const substituteLU = (factors, vector, steps, F) => {
+    const { L, U, P } = factors;
+    let B = toRHS(F, vector);
+    let PB = P.map(row => B[row.indexOf(1)]);
+    return eachRHS(PB, (Pb, rhsName) => {
+        let y = forwardSubstitute(L, Pb, steps, factors, 'L', F, rhsName);
+        return backSubstitute(U, y, steps, factors, 'U', F);
+    });
+};
+
+/**
+ * Factorizes PA = LU and solves Ax = b.
+ * variant: 'doolittle' (unit diagonal on L) or 'crout' (unit diagonal on U).
+ * The returned `factors` can be passed to solveWithLU to solve for another b
+ * without repeating the elimination.
+ */
+export const solveLU = (matrix, vector, variant = 'doolittle', pivotTolerance = PIVOT_TOLERANCE, F = floatArithmetic, onSteps = null) => {
+    F = createCountingArithmetic(F);
+    let A = toElements(F, matrix);
+    let B = toRHS(F, vector);
+    let n = A.length;
+    let L = zeroMatrix(n).map(row => row.map(F.from));
+    let U = zeroMatrix(n).map(row => row.map(F.from));
+    let P = identityMatrix(n);
+    let steps = createStepLog(F, onSteps);
+    const isCrout = variant === 'crout';
+    const label = isCrout ? 'Crout' : 'Doolittle';
+    let tol = pivotThreshold(F, A, pivotTolerance);
+
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        factors: copyFactors({ L, U, P }),
+        description: `LU Decomposition (${label}) with partial pivoting - Factor PA = LU, ${isCrout ? 'U' : 'L'} has a unit diagonal`,
+        highlights: {}
+    });
+
+    // 1. Factorization
+    F.setPhase('factorization');
+    // Σ_{s<k} L[i][s]·U[s][j]
+    const productSum = (i, j, k) => sumProducts(F, L[i], U.map(row => row[j]), 0, k);
+    for (let k = 0; k < n; k++) {
+        // Candidate values for column k (before dividing by the pivot)
+        let candidates = new Array(n).fill(F.from(0));
+        for (let i = k; i < n; i++) {
+            candidates[i] = subtractSum(F, A[i][k], productSum(i, k, k));
+        }
+
+        // Find pivot row
+        let pivotRow = k;
+        for (let i = k + 1; i < n; i++) {
+            if (F.greaterAbs(candidates[i], candidates[pivotRow])) {
+                pivotRow = i;
+            }
+        }
+
+        // Swap rows of A, b, P and the part of L already computed
+        if (pivotRow !== k) {
+            [A[k], A[pivotRow]] = [A[pivotRow], A[k]];
+            [B[k], B[pivotRow]] = [B[pivotRow], B[k]];
+            [P[k], P[pivotRow]] = [P[pivotRow], P[k]];
+            [L[k], L[pivotRow]] = [L[pivotRow], L[k]];
+            [candidates[k], candidates[pivotRow]] = [candidates[pivotRow], candidates[k]];
+            steps.push({
+                matrix: copyMatrix(A),
+                ...rhsFields(B),
+                factors: copyFactors({ L, U, P }),
+                description: `[PIVOTING] Swap Row ${k} ↔ Row ${pivotRow} in A, P and L (found larger pivot: ${F.format(candidates[k])})`,
+                highlights: { rows: [k, pivotRow], factorCells: { P: [[k, pivotRow], [pivotRow, k]] } }
+            });
+        }
+
+        let pivot = candidates[k];
+        if (F.isZero(pivot, tol)) {
+            // Show the partially reduced row so the zero pivot is visible
+            for (let j = 0; j < n; j++) {
+                A[k][j] = subtractSum(F, A[k][j], productSum(k, j, k));
+            }
+            return singularResult(A, B, steps, k, { matrix, vector }, pivotTolerance, F, { factors: copyFactors({ L, U, P }) });
+        }
+
+        if (isCrout) {
+            // Column k of L, then row k of U (unit diagonal)
+            for (let i = k; i < n; i++) {
+                L[i][k] = candidates[i];
+            }
+            steps.push({
+                matrix: copyMatrix(A),
+                ...rhsFields(B),
+                factors: copyFactors({ L, U, P }),
+                description: `Column ${k} of L: L[i][${k}] = A[i][${k}] - Σ L[i][s]·U[s][${k}] (pivot L[${k}][${k}] = ${F.format(pivot)})`,
+                highlights: { cols: [k], factorCells: { L: Array.from({ length: n - k }, (_, i) => [k + i, k]) } }
+            });
+
+            U[k][k] = F.from(1);
+            for (let j = k + 1; j < n; j++) {
+                U[k][j] = F.div(subtractSum(F, A[k][j], productSum(k, j, k)), pivot);
+            }
+            steps.push({
+                matrix: copyMatrix(A),
+                ...rhsFields(B),
+                factors: copyFactors({ L, U, P }),
+                description: `Row ${k} of U: U[${k}][j] = (A[${k}][j] - Σ L[${k}][s]·U[s][j]) / ${F.format(pivot)}`,
+                highlights: { rows: [k], factorCells: { U: Array.from({ length: n - k }, (_, j) => [k, k + j]) } }
+            });
+        } else {
+            // Row k of U, then column k of L (unit diagonal)
+            U[k][k] = pivot;
+            for (let j = k + 1; j < n; j++) {
+                U[k][j] = subtractSum(F, A[k][j], productSum(k, j, k));
+            }
+            steps.push({
+                matrix: copyMatrix(A),
+                ...rhsFields(B),
+                factors: copyFactors({ L, U, P }),
+                description: `Row ${k} of U: U[${k}][j] = A[${k}][j] - Σ L[${k}][s]·U[s][j] (pivot U[${k}][${k}] = ${F.format(pivot)})`,
+                highlights: { rows: [k], factorCells: { U: Array.from({ length: n - k }, (_, j) => [k, k + j]) } }
+            });
+
+            L[k][k] = F.from(1);
+            for (let i = k + 1; i < n; i++) {
+                L[i][k] = F.div(candidates[i], pivot);
+            }
+            steps.push({
+                matrix: copyMatrix(A),
+                ...rhsFields(B),
+                factors: copyFactors({ L, U, P }),
+                description: `Column ${k} of L: L[i][${k}] = (A[i][${k}] - Σ L[i][s]·U[s][${k}]) / ${F.format(pivot)}`,
+                highlights: { cols: [k], factorCells: { L: Array.from({ length: n - k }, (_, i) => [k + i, k]) } }
+            });
+        }
+    }
+
+    const factors = { L, U, P };
+
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        factors: copyFactors(factors),
+        description: "Factorization complete: PA = LU. The factors can be reused for any other right-hand side.",
+        highlights: {}
+    });
+
+    // 2. Forward and Back Substitution
+    let X = substituteLU(factors, vector, steps, F);
+
+    return { steps: steps.take(), ...solutionFields(X), type: 'direct', exact: F.exact, status: 'solved', rank: n, factors: copyFactors(factors), operations: F.snapshot() };
+};
+
+// Solves Ax = b for a new b (or several) using factors returned by solveLU (substitution only).
+export const solveWithLU = (factors, vector, F = floatArithmetic, onSteps = null) => {
+    F = createCountingArithmetic(F);
+    let steps = createStepLog(F, onSteps);
+    let X = substituteLU(factors, vector, steps, F);
+    return { steps: steps.take(), ...solutionFields(X), type: 'direct', exact: F.exact, status: 'solved', rank: X[0].length, factors: copyFactors(factors), operations: F.snapshot() };
+};
+
+// --- DIRECT METHOD: Cholesky (LLᵀ) and LDLᵀ for Symmetric Positive Definite Systems ---
+const SYMMETRY_TOLERANCE = 1e-10;
+
+// Returns the first pair [i, j] with A[i][j] ≠ A[j][i], or null if A is symmetric.
+const findAsymmetry = (A, F = floatArithmetic) => {
+    let n = A.length;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 1; j < n; j++) {
+            let scale = Math.max(1, Math.abs(F.toNumber(A[i][j])), Math.abs(F.toNumber(A[j][i])));
+            if (!F.isZero(F.sub(A[i][j], A[j][i]), SYMMETRY_TOLERANCE * scale)) {
+                return [i, j];
+            }
+        }
+    }
+    return null;
+};
+
+// Shared failure result when the matrix is not symmetric or a pivot is not positive.
+const notSPDResult = (steps, status, message, extra = {}) => ({
+    steps: steps.take(),
+    solution: null,
+    type: 'direct',
+    status,
+    message,
+    operations: steps.last().operations,
+    ...extra
+});
+
+/**
+ * Checks whether a matrix is symmetric positive definite by attempting a Cholesky
+ * factorization. Returns { symmetric, positiveDefinite, failedMinor }, where
+ * failedMinor is the order of the first leading principal minor that is not positive.
+ */
+export const checkSPD = (matrix) => {
+    if (matrix.length !== matrix[0]?.length || findAsymmetry(matrix)) {
+        return { symmetric: false, positiveDefinite: false, failedMinor: null };
+    }
+    let n = matrix.length;
+    let L = zeroMatrix(n);
+    for (let j = 0; j < n; j++) {
+        let d = matrix[j][j];
+        for (let k = 0; k < j; k++) d -= L[j][k] * L[j][k];
+        if (!(d > 0)) {
+            return { symmetric: true, positiveDefinite: false, failedMinor: j + 1 };
+        }
+        L[j][j] = Math.sqrt(d);
+        for (let i = j + 1; i < n; i++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+            L[i][j] = sum / L[j][j];
+        }
+    }
+    return { symmetric: true, positiveDefinite: true, failedMinor: null };
+};
+
+// Records the symmetry check; returns a failure result if A is not symmetric.
+const checkSymmetryStep = (A, B, steps, factors, F = floatArithmetic) => {
+    let asymmetry = findAsymmetry(A, F);
+    if (asymmetry) {
+        let [i, j] = asymmetry;
+        steps.push({
+            matrix: copyMatrix(A),
+            ...rhsFields(B),
+            factors: copyFactors(factors),
+            description: `✗ Matrix is not symmetric: A[${i}][${j}] = ${F.format(A[i][j])} but A[${j}][${i}] = ${F.format(A[j][i])}`,
+            highlights: { cells: [[i, j], [j, i]] },
+            status: 'not-symmetric'
+        });
+        return notSPDResult(steps, 'not-symmetric',
+            `Matrix is not symmetric (A[${i}][${j}] ≠ A[${j}][${i}]). Use LU or Gauss elimination instead.`,
+            { asymmetricCell: [i, j], exact: F.exact });
+    }
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        factors: copyFactors(factors),
+        description: "✓ Matrix is symmetric (A = Aᵀ). Positive definiteness is checked at every pivot.",
+        highlights: {}
+    });
+    return null;
+};
+
+// Records a non-positive pivot and returns the failure result naming the leading minor.
+const notPositiveDefinite = (A, B, steps, factors, k, pivot, factorCells, F = floatArithmetic) => {
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        factors: copyFactors(factors),
+        description: `✗ Pivot ${F.format(pivot, 4)} at row ${k} is not positive: the ${k + 1}×${k + 1} leading principal minor is not positive, so A is not positive definite`,
+        highlights: { rows: Array.from({ length: k + 1 }, (_, i) => i), cols: Array.from({ length: k + 1 }, (_, i) => i), cells: [[k, k]], factorCells },
+        status: 'not-positive-definite'
+    });
+    return notSPDResult(steps, 'not-positive-definite',
+        `Matrix is not positive definite: leading principal minor of order ${k + 1} is not positive (pivot = ${F.format(pivot, 4)}).`,
+        { failedMinor: k + 1, exact: F.exact });
+};
+
+// Solves Ax = b with A = LLᵀ (Cholesky-Banachiewicz, row by row).
+export const solveCholesky = (matrix, vector, pivotTolerance = PIVOT_TOLERANCE, onSteps = null) => {
+    // Always float64 (square roots); the context only counts the operations
+    const F = createCountingArithmetic(floatArithmetic);
+    let A = copyMatrix(matrix);
+    let B = toRHS(F, vector);
+    let n = A.length;
+    let L = zeroMatrix(n);
+    let steps = createStepLog(F, onSteps);
+    let tol = pivotTolerance * matrixScale(A);
+
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        factors: { L: copyMatrix(L) },
+        description: "Cholesky Decomposition - Factor A = LLᵀ (requires A symmetric positive definite)",
+        highlights: {}
+    });
+
+    F.setPhase('setup');
+    let failure = checkSymmetryStep(A, B, steps, { L }, F);
+    if (failure) return failure;
+
+    // 1. Factorization
+    F.setPhase('factorization');
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = sumProducts(F, L[i], L[j], 0, j);
+
+            if (i === j) {
+                let pivot = subtractSum(F, A[i][i], sum);
+                if (!(pivot > tol)) {
+                    return notPositiveDefinite(A, B, steps, { L }, i, pivot, { L: [[i, i]] });
+                }
+                L[i][i] = Math.sqrt(pivot);
+                steps.push({
+                    matrix: copyMatrix(A),
+                    ...rhsFields(B),
+                    factors: { L: copyMatrix(L) },
+                    description: `L[${i}][${i}] = √(A[${i}][${i}] - Σ L[${i}][k]²) = √(${A[i][i].toFixed(2)} - ${(sum ?? 0).toFixed(2)}) = ${L[i][i].toFixed(4)}`,
+                    highlights: { cells: [[i, i]], factorCells: { L: [[i, i]] } }
+                });
+            } else {
+                L[i][j] = F.div(subtractSum(F, A[i][j], sum), L[j][j]);
+                steps.push({
+                    matrix: copyMatrix(A),
+                    ...rhsFields(B),
+                    factors: { L: copyMatrix(L) },
+                    description: `L[${i}][${j}] = (A[${i}][${j}] - Σ L[${i}][k]·L[${j}][k]) / L[${j}][${j}] = (${A[i][j].toFixed(2)} - ${(sum ?? 0).toFixed(2)}) / ${L[j][j].toFixed(2)} = ${L[i][j].toFixed(4)}`,
+                    highlights: { cells: [[i, j]], factorCells: { L: [[i, j]] } }
+                });
+            }
+        }
+    }
+
+    let LT = transpose(L);
+    const factors = { L, 'Lᵀ': LT };
+
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        factors: copyFactors(factors),
+        description: "Factorization complete: A = LLᵀ. All pivots were positive, so A is positive definite.",
+        highlights: {}
+    });
+
+    // 2. Forward (Ly = b) and Back (Lᵀx = y) Substitution, once per right-hand side
+    let X = eachRHS(B, (b, rhsName) => {
+        let y = forwardSubstitute(L, b, steps, factors, 'L', F, rhsName);
+        return backSubstitute(LT, y, steps, factors, 'Lᵀ', F);
+    });
+
+    return { steps: steps.take(), ...solutionFields(X), type: 'direct', status: 'solved', rank: n, factors: copyFactors(factors), operations: F.snapshot() };
+};
+
+// Solves Ax = b with A = LDLᵀ (L unit lower triangular, D diagonal) - no square roots.
+export const solveLDLT = (matrix, vector, pivotTolerance = PIVOT_TOLERANCE, F = floatArithmetic, onSteps = null) => {
+    F = createCountingArithmetic(F);
+    let A = toElements(F, matrix);
+    let B = toRHS(F, vector);
+    let n = A.length;
+    let L = identityMatrix(n).map(row => row.map(F.from));
+    let D = zeroMatrix(n).map(row => row.map(F.from));
+    let steps = createStepLog(F, onSteps);
+    let tol = pivotThreshold(F, A, pivotTolerance);
+
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        factors: { L: copyMatrix(L), D: copyMatrix(D) },
+        description: "LDLᵀ Decomposition - Factor A = LDLᵀ without square roots (requires A symmetric positive definite)",
+        highlights: {}
+    });
+
+    F.setPhase('setup');
+    let failure = checkSymmetryStep(A, B, steps, { L, D }, F);
+    if (failure) return failure;
+
+    // 1. Factorization, column by column
+    F.setPhase('factorization');
+    // Σ_{k<j} L[i][k]·L[j][k]·D[k][k], null for j = 0 (see sumProducts)
+    const weightedSum = (i, j) => {
+        let sum = null;
+        for (let k = 0; k < j; k++) {
+            let term = F.mul(F.mul(L[i][k], L[j][k]), D[k][k]);
+            sum = sum === null ? term : F.add(sum, term);
+        }
+        return sum;
+    };
+    for (let j = 0; j < n; j++) {
+        let sum = weightedSum(j, j);
+        let pivot = subtractSum(F, A[j][j], sum);
+        if (!F.isPositive(pivot, tol)) {
+            return notPositiveDefinite(A, B, steps, { L, D }, j, pivot, { D: [[j, j]] }, F);
+        }
+        D[j][j] = pivot;
+        steps.push({
+            matrix: copyMatrix(A),
+            ...rhsFields(B),
+            factors: { L: copyMatrix(L), D: copyMatrix(D) },
+            description: `D[${j}][${j}] = A[${j}][${j}] - Σ L[${j}][k]²·D[k][k] = ${F.format(A[j][j])} - ${F.format(sum ?? F.from(0))} = ${F.format(D[j][j], 4)}`,
+            highlights: { cells: [[j, j]], factorCells: { D: [[j, j]] } }
+        });
+
+        for (let i = j + 1; i < n; i++) {
+            let s = weightedSum(i, j);
+            L[i][j] = F.div(subtractSum(F, A[i][j], s), D[j][j]);
+            steps.push({
+                matrix: copyMatrix(A),
+                ...rhsFields(B),
+                factors: { L: copyMatrix(L), D: copyMatrix(D) },
+                description: `L[${i}][${j}] = (A[${i}][${j}] - Σ L[${i}][k]·L[${j}][k]·D[k][k]) / D[${j}][${j}] = (${F.format(A[i][j])} - ${F.format(s ?? F.from(0))}) / ${F.format(D[j][j])} = ${F.format(L[i][j], 4)}`,
+                highlights: { cells: [[i, j]], factorCells: { L: [[i, j]] } }
+            });
+        }
+    }
+
+    let LT = transpose(L);
+    const factors = { L, D, 'Lᵀ': LT };
+
+    steps.push({
+        matrix: copyMatrix(A),
+        ...rhsFields(B),
+        factors: copyFactors(factors),
+        description: "Factorization complete: A = LDLᵀ. All pivots in D were positive, so A is positive definite.",
+        highlights: {}
+    });
+
+    // 2. Ly = b, Dz = y, Lᵀx = z, once per right-hand side (the diagonal solve counts as forward substitution)
+    let X = eachRHS(B, (b, rhsName) => {
+        let y = forwardSubstitute(L, b, steps, factors, 'L', F, rhsName);
+        let z = y.map((val, i) => F.div(val, D[i][i]));
+        steps.push({
+            matrix: copyMatrix(D),
+            vector: copyVector(z),
+            factors: copyFactors(factors),
+            description: `Diagonal solve: z[i] = y[i] / D[i][i] → z = [${z.map(v => F.format(v, 4)).join(', ')}]`,
+            highlights: { factorCells: { D: Array.from({ length: n }, (_, i) => [i, i]) } }
+        });
+        return backSubstitute(LT, z, steps, factors, 'Lᵀ', F);
+    });
+
+    return { steps: steps.take(), ...solutionFields(X), type: 'direct', exact: F.exact, status: 'solved', rank: n, factors: copyFactors(factors), operations: F.snapshot() };
+};
+
+// --- DIRECT METHOD: Gauss-Jordan to full RREF for general m×n systems ---
+/**
+ * Reduces [A|b] (A is m×n, any shape) to reduced row echelon form and reports
+ * rank, pivot columns, consistency and the general solution x = p + t₁v₁ + ... + tₖvₖ,
+ * where p is a particular solution and v₁..vₖ span the null space of A.
+ */
+export const solveRREF = (matrix, vector, pivotTolerance = PIVOT_TOLERANCE, F = floatArithmetic, onSteps = null) => {
+    F = createCountingArithmetic(F);
+    let A = toElements(F, matrix);
+    let b = vector.map(F.from);
+    let m = A.length;
+    let n = m ? A[0].length : 0;
+    let steps = createStepLog(F, onSteps);
+    let tol = pivotThreshold(F, A, pivotTolerance);
+    const zero = F.from(0);
+    let pivotColumns = [];
+    let r = 0; // next pivot row
+
+    steps.push({
+        matrix: copyMatrix(A),
+        vector: copyVector(b),
+        description: `Gauss-Jordan to RREF - ${m} equation${m > 1 ? 's' : ''} in ${n} unknown${n > 1 ? 's' : ''}`,
+        highlights: {}
+    });
+
+    // 1. Forward and Backward Elimination, column by column
+    for (let c = 0; c < n && r < m; c++) {
+        // Find pivot row (partial pivoting for stability)
+        let pivotRow = r;
+        for (let i = r + 1; i < m; i++) {
+            if (F.greaterAbs(A[i][c], A[pivotRow][c])) {
+                pivotRow = i;
+            }
+        }
+
+        if (F.isZero(A[pivotRow][c], tol)) {
+            for (let i = r; i < m; i++) A[i][c] = zero;
+            steps.push({
+                matrix: copyMatrix(A),
+                vector: copyVector(b),
+                description: `Column ${c} has no non-zero entry in Rows ${r}..${m - 1}: x${c + 1} is a free variable`,
+                highlights: { cols: [c] }
+            });
+            continue;
+        }
+
+        // Swap rows if necessary
+        if (pivotRow !== r) {
+            [A[r], A[pivotRow]] = [A[pivotRow], A[r]];
+            [b[r], b[pivotRow]] = [b[pivotRow], b[r]];
+            steps.push({
+                matrix: copyMatrix(A),
+                vector: copyVector(b),
+                description: `Pivoting: Swap Row ${r} with Row ${pivotRow}`,
+                highlights: { rows: [r, pivotRow] }
+            });
+        }
+
+        // Normalize pivot row (the pivot itself becomes 1)
+        F.setPhase('normalization');
+        let pivotValue = A[r][c];
+        A[r][c] = F.from(1);
+        for (let j = c + 1; j < n; j++) {
+            A[r][j] = F.div(A[r][j], pivotValue);
+        }
+        b[r] = F.div(b[r], pivotValue);
+
+        steps.push({
+            matrix: copyMatrix(A),
+            vector: copyVector(b),
+            description: `Pivot in column ${c}: Normalize Row ${r} (divide by ${F.format(pivotValue)})`,
+            highlights: { rows: [r], cells: [[r, c]] }
+        });
+
+        // Eliminate column (both above and below pivot)
+        F.setPhase('elimination');
+        for (let i = 0; i < m; i++) {
+            if (i !== r && !F.isZero(A[i][c])) {
+                let factor = A[i][c];
+
+                steps.push({
+                    matrix: copyMatrix(A),
+                    vector: copyVector(b),
+                    description: `Eliminating Row ${i}: R${i} = R${i} - (${F.format(factor)}) * R${r}`,
+                    highlights: { rows: [i, r], cells: [[i, c]] }
+                });
+
+                for (let j = c + 1; j < n; j++) {
+                    A[i][j] = F.sub(A[i][j], F.mul(factor, A[r][j]));
+                }
+                A[i][c] = zero;
+                b[i] = F.sub(b[i], F.mul(factor, b[r]));
+            }
+        }
+
+        pivotColumns.push(c);
+        r++;
+    }
+
+    let rank = pivotColumns.length;
+    let freeColumns = [];
+    for (let c = 0; c < n; c++) {
+        if (!pivotColumns.includes(c)) freeColumns.push(c);
+    }
+
+    // 2. Consistency: a zero row with non-zero right-hand side means 0 = c
+    let bTol = Math.max(tol, pivotTolerance * b.reduce((max, v) => Math.max(max, Math.abs(F.toNumber(v))), 0));
+    let inconsistentRow = null;
+    for (let i = rank; i < m; i++) {
+        if (!F.isZero(b[i], bTol)) {
+            inconsistentRow = i;
+            break;
+        }
+    }
+
+    if (inconsistentRow !== null) {
+        const message = `System is inconsistent: Row ${inconsistentRow} reads 0 = ${F.format(b[inconsistentRow], 4)}, so rank(A) = ${rank} < rank([A|b]) = ${rank + 1}. There is no solution.`;
+        steps.push({
+            matrix: copyMatrix(A),
+            vector: copyVector(b),
+            description: `✗ ${message}`,
+            highlights: { rows: [inconsistentRow], cols: pivotColumns },
+            status: 'inconsistent'
+        });
+        return {
+            steps: steps.take(),
+            solution: null,
+            type: 'direct',
+            exact: F.exact,
+            status: 'inconsistent',
+            message,
+            rank,
+            row: inconsistentRow,
+            consistent: false,
+            pivotColumns,
+            freeColumns,
+            operations: F.snapshot()
+        };
+    }
+
+    // 3. General solution: particular solution plus null-space basis
+    let particular = new Array(n).fill(zero);
+    pivotColumns.forEach((c, i) => { particular[c] = b[i]; });
+
+    let nullSpace = freeColumns.map(f => {
+        let v = new Array(n).fill(zero);
+        v[f] = F.from(1);
+        pivotColumns.forEach((c, i) => { v[c] = F.neg(A[i][f]); });
+        return v;
+    });
+
+    const unique = freeColumns.length === 0;
+    const message = unique
+        ? `Unique solution: rank(A) = ${rank} = number of unknowns.`
+        : `Infinitely many solutions: rank(A) = ${rank} < ${n} unknowns, free variable${freeColumns.length > 1 ? 's' : ''} ${freeColumns.map(c => `x${c + 1}`).join(', ')}.`;
+
+    steps.push({
+        matrix: copyMatrix(A),
+        vector: copyVector(b),
+        description: `RREF complete. Pivot columns: [${pivotColumns.join(', ')}]. ${message}`,
+        highlights: { cols: pivotColumns },
+        status: unique ? 'solved' : 'underdetermined'
+    });
+
+    return {
+        steps: steps.take(),
+        solution: particular,
+        type: 'direct',
+        exact: F.exact,
+        status: unique ? 'solved' : 'underdetermined',
+        message,
+        rank,
+        consistent: true,
+        pivotColumns,
+        freeColumns,
+        particular,
+        nullSpace,
+        operations: F.snapshot()
+    };
+};
+
+// --- LEAST SQUARES: QR Factorization (Householder / Givens) and Normal Equations ---
+export const norm2 = (v) => Math.sqrt(v.reduce((sum, val) => sum + val * val, 0));
+const matVec = (A, x) => A.map(row => row.reduce((sum, a, j) => sum + a * x[j], 0));
+
+// r = b - Ax together with ‖r‖₂ and the optimality residual ‖Aᵀr‖₂ (zero at the least-squares solution)
+const leastSquaresResidual = (A, b, x) => {
+    let residual = matVec(A, x).map((val, i) => b[i] - val);
+    let normalResidual = transpose(A).map(col => col.reduce((sum, a, i) => sum + a * residual[i], 0));
+    return { residual, residualNorm: norm2(residual), optimalityResidual: norm2(normalResidual) };
+};
+
+// Result when the columns of A are linearly dependent, so the least-squares solution is not unique.
+const rankDeficientResult = (R, c, steps, k, original, pivotTolerance, extra = {}) => {
+    let info = analyzeRank(original.matrix, original.vector, pivotTolerance);
+    let n = R[0].length;
+    const message = `Columns of A are linearly dependent: rank(A) = ${info.rank} < ${n} unknowns, so the least-squares solution is not unique.`;
+    steps.push({
+        matrix: copyMatrix(R),
+        vector: copyVector(c),
+        description: `✗ R[${k}][${k}] = ${R[k][k].toExponential(2)} is zero within tolerance. ${message}`,
+        highlights: { cells: [[k, k]], cols: [k] },
+        status: 'singular',
+        ...extra
+    });
+    return { steps: steps.take(), solution: null, type: 'direct', status: 'singular', message, rank: info.rank, row: k, operations: steps.last().operations };
+};
+
+/**
+ * Least-squares solution of an overdetermined system (m ≥ n) by A = QR.
+ * variant: 'householder' (one reflection per column) or 'givens' (one rotation per zeroed entry).
+ * Minimizes ‖Ax - b‖₂ by solving Rx = (Qᵀb)[0..n-1]; the remaining entries of Qᵀb give the residual.
+ * The triangularization is counted per reflection/rotation in the units of sumProducts (square
+ * roots are not counted); Q is accumulated for the display only and is not counted.
+ */
+export const solveLeastSquaresQR = (matrix, vector, variant = 'householder', pivotTolerance = PIVOT_TOLERANCE, onSteps = null) => {
+    const F = createCountingArithmetic(floatArithmetic);
+    let R = copyMatrix(matrix);
+    let c = copyVector(vector);
+    let m = R.length;
+    let n = R[0].length;
+    let Q = identityMatrix(m);
+    let steps = createStepLog(F, onSteps);
+    let tol = pivotTolerance * matrixScale(R);
+    const isGivens = variant === 'givens';
+
+    if (m < n) {
+        const message = `QR least squares needs at least as many equations as unknowns (got ${m}×${n}). Use the RREF mode for underdetermined systems.`;
+        steps.push({ matrix: copyMatrix(R), vector: copyVector(c), description: `✗ ${message}`, highlights: {}, status: 'underdetermined' });
+        return { steps: steps.take(), solution: null, type: 'direct', status: 'underdetermined', message, operations: F.snapshot() };
+    }
+
+    steps.push({
+        matrix: copyMatrix(R),
+        vector: copyVector(c),
+        factors: { Q: copyMatrix(Q) },
+        description: `QR Least Squares (${isGivens ? 'Givens rotations' : 'Householder reflections'}) - Reduce A to upper triangular R, applying the same transformations to b`,
+        highlights: {}
+    });
+
+    // 1. Triangularization
+    F.setPhase('factorization');
+    for (let k = 0; k < n && k < m - 1; k++) {
+        if (isGivens) {
+            for (let i = m - 1; i > k; i--) {
+                if (R[i][k] === 0) continue;
+                let a = R[k][k];
+                let bVal = R[i][k];
+                let r = Math.hypot(a, bVal);
+                let cos = a / r;
+                let sin = bVal / r;
+
+                for (let j = 0; j < n; j++) {
+                    let top = R[k][j], bottom = R[i][j];
+                    R[k][j] = cos * top + sin * bottom;
+                    R[i][j] = -sin * top + cos * bottom;
+                }
+                R[i][k] = 0;
+                let top = c[k], bottom = c[i];
+                c[k] = cos * top + sin * bottom;
+                c[i] = -sin * top + cos * bottom;
+                // r = √(a² + b²), c and s, then 4 multiplications and 2 additions per column of [R | c]
+                F.tally(1 + 2 * (n + 1), 4 + 4 * (n + 1));
+                // Q = Q · Gᵀ
+                for (let row = 0; row < m; row++) {
+                    let left = Q[row][k], right = Q[row][i];
+                    Q[row][k] = cos * left + sin * right;
+                    Q[row][i] = -sin * left + cos * right;
+                }
+
+                steps.push({
+                    matrix: copyMatrix(R),
+                    vector: copyVector(c),
+                    factors: { Q: copyMatrix(Q) },
+                    description: `Givens rotation G(${k}, ${i}): c = ${cos.toFixed(4)}, s = ${sin.toFixed(4)} → zeroes A[${i}][${k}], R[${k}][${k}] = ${R[k][k].toFixed(4)}`,
+                    highlights: { rows: [k, i], cells: [[i, k]], factorCells: { Q: [[k, k], [k, i], [i, k], [i, i]] } }
+                });
+            }
+        } else {
+            let x = [];
+            for (let i = k; i < m; i++) x.push(R[i][k]);
+            let xNorm = norm2(x);
+            let below = norm2(x.slice(1));
+            if (below === 0) continue;
+
+            // v = x - αe₁ with α = -sign(x₀)‖x‖ to avoid cancellation
+            let alpha = x[0] >= 0 ? -xNorm : xNorm;
+            let v = [...x];
+            v[0] -= alpha;
+            let vNorm = norm2(v);
+            v = v.map(val => val / vNorm);
+
+            // R = (I - 2vvᵀ)R, c = (I - 2vvᵀ)c
+            for (let j = 0; j < n; j++) {
+                let dot = 0;
+                for (let i = k; i < m; i++) dot += v[i - k] * R[i][j];
+                for (let i = k; i < m; i++) R[i][j] -= 2 * v[i - k] * dot;
+            }
+            for (let i = k + 1; i < m; i++) R[i][k] = 0;
+            let dot = 0;
+            for (let i = k; i < m; i++) dot += v[i - k] * c[i];
+            for (let i = k; i < m; i++) c[i] -= 2 * v[i - k] * dot;
+            // On p = m - k rows: ‖x‖, v₀ - α, ‖v‖ and v/‖v‖, then per column of [R | c]
+            // the dot product vᵀr and r - 2v(vᵀr)
+            let p = m - k;
+            F.tally(2 * (p - 1) + 1 + (n + 1) * (2 * p - 1), 3 * p + (n + 1) * 3 * p);
+            // Q = Q(I - 2vvᵀ)
+            for (let row = 0; row < m; row++) {
+                let qDot = 0;
+                for (let i = k; i < m; i++) qDot += Q[row][i] * v[i - k];
+                for (let i = k; i < m; i++) Q[row][i] -= 2 * qDot * v[i - k];
+            }
+
+            steps.push({
+                matrix: copyMatrix(R),
+                vector: copyVector(c),
+                factors: { Q: copyMatrix(Q) },
+                description: `Householder reflection H${k + 1} = I - 2vvᵀ on rows ${k}..${m - 1}: zeroes column ${k} below the diagonal, R[${k}][${k}] = ${R[k][k].toFixed(4)}`,
+                highlights: {
+                    rows: Array.from({ length: m - k }, (_, i) => k + i),
+                    cells: Array.from({ length: m - k - 1 }, (_, i) => [k + 1 + i, k])
+                }
+            });
+        }
+
+        if (Math.abs(R[k][k]) <= tol) {
+            return rankDeficientResult(R, c, steps, k, { matrix, vector }, pivotTolerance, { factors: { Q: copyMatrix(Q) } });
+        }
+    }
+    if (Math.abs(R[n - 1][n - 1]) <= tol) {
+        return rankDeficientResult(R, c, steps, n - 1, { matrix, vector }, pivotTolerance, { factors: { Q: copyMatrix(Q) } });
+    }
+
+    let residualFromQR = norm2(c.slice(n));
+    steps.push({
+        matrix: copyMatrix(R),
+        vector: copyVector(c),
+        factors: { Q: copyMatrix(Q) },
+        description: `Triangularization complete: A = QR. Entries ${n}..${m - 1} of Qᵀb give the residual norm ${residualFromQR.toExponential(4)}. Starting Back Substitution on the top ${n} rows.`,
+        highlights: { rows: Array.from({ length: m - n }, (_, i) => n + i) }
+    });
+
+    // 2. Back Substitution on the leading n×n block
+    F.setPhase('backSubstitution');
+    let x = new Array(n).fill(0);
+    for (let i = n - 1; i >= 0; i--) {
+        let sum = sumProducts(F, R[i], x, i + 1, n);
+        x[i] = F.div(subtractSum(F, c[i], sum), R[i][i]);
+
+        steps.push({
+            matrix: copyMatrix(R),
+            vector: copyVector(c),
+            factors: { Q: copyMatrix(Q) },
+            description: `Solving x[${i}]: (${c[i].toFixed(2)} - ${(sum ?? 0).toFixed(2)}) / ${R[i][i].toFixed(2)} = ${x[i].toFixed(4)}`,
+            highlights: { rows: [i] }
+        });
+    }
+
+    return {
+        steps: steps.take(),
+        solution: x,
+        type: 'direct',
+        status: 'solved',
+        rank: n,
+        factors: { Q, R },
+        operations: F.snapshot(),
+        ...leastSquaresResidual(matrix, vector, x)
+    };
+};
+
+// Least squares through the normal equations AᵀAx = Aᵀb, solved by Cholesky.
+// Squares the condition number, which is what the QR comparison is meant to show.
+export const solveNormalEquations = (matrix, vector, pivotTolerance = PIVOT_TOLERANCE, onSteps = null) => {
+    let At = transpose(matrix);
+    let AtA = At.map(row => At.map(col => row.reduce((sum, a, i) => sum + a * col[i], 0)));
+    let Atb = At.map(row => row.reduce((sum, a, i) => sum + a * vector[i], 0));
+    // One length-m dot product per entry of AᵀA and Aᵀb, counted as setup on top of Cholesky's own counts
+    let m = matrix.length, n = At.length;
+    let setup = { addSub: (n * n + n) * (m - 1), mulDiv: (n * n + n) * m };
+    setup.phases = { setup: { ...setup } };
+
+    let setupLog = createStepLog(null, onSteps);
+    setupLog.push({
+        matrix: copyMatrix(AtA),
+        vector: copyVector(Atb),
+        description: `Normal Equations - Form AᵀA (${At.length}×${At.length}) and Aᵀb, then solve AᵀAx = Aᵀb with Cholesky (κ(AᵀA) = κ(A)²)`,
+        highlights: {},
+        operations: setup
+    });
+    const withSetup = (block) => block.map(step => ({ ...step, operations: addOperations(setup, step.operations) }));
+    let setupSteps = setupLog.take();
+    let result = solveCholesky(AtA, Atb, pivotTolerance, onSteps && (block => onSteps(withSetup(block))));
+    let steps = [...setupSteps, ...withSetup(result.steps)];
+    let operations = addOperations(setup, result.operations);
+
+    if (!result.solution) {
+        return { ...result, steps, operations };
+    }
+    return { ...result, steps, operations, ...leastSquaresResidual(matrix, vector, result.solution) };
+};
+
+// --- ITERATIVE METHOD: SOR / SSOR (Successive Over-Relaxation) ---
+// One relaxation sweep over the rows in `order`, updating x in place (F counts the operations).
+// 1 - ω is a constant of the method, computed once by the caller and not counted.
+const relaxationSweep = (matrix, vector, x, omega, oneMinusOmega, order, F) => {
+    let n = matrix.length;
+    for (const i of order) {
+        let sum = sumProducts(F, matrix[i], x, 0, n, i);
+        let gaussSeidelValue = F.div(subtractSum(F, vector[i], sum), matrix[i][i]);
+        x[i] = F.add(F.mul(oneMinusOmega, x[i]), F.mul(omega, gaussSeidelValue));
+    }
+};
+
+const relaxationSolve = (matrix, vector, omega, settings, symmetric, onSteps = null) => {
+    settings = withDefaults(settings);
+    const F = createCountingArithmetic(floatArithmetic);
+    let n = matrix.length;
+    let x = initialGuess(settings, n);
+    let steps = createStepLog(F, onSteps);
+    let errors = [];
+    const forward = Array.from({ length: n }, (_, i) => i);
+    const backward = [...forward].reverse();
+    const label = symmetric ? 'SSOR' : 'SOR';
+    const oneMinusOmega = 1 - omega;
+
+    steps.push({
+        matrix: matrix,
+        vector: vector,
+        xCurrent: [...x],
+        description: `${label} with ω = ${omega}: Initial Guess: ${describeInitialGuess(settings)}`,
+        highlights: {}
+    });
+
+    F.setPhase('iteration');
+    for (let iter = 0; iter < settings.maxIter; iter++) {
+        let xNew = [...x];
+
+        relaxationSweep(matrix, vector, xNew, omega, oneMinusOmega, forward, F);
+        if (symmetric) {
+            relaxationSweep(matrix, vector, xNew, omega, oneMinusOmega, backward, F);
+        }
+
+        let error = stoppingMeasure(settings, matrix, vector, xNew, x);
+
+        errors.push(error);
+        steps.push({
+            matrix: matrix,
+            vector: vector,
+            xCurrent: [...xNew],
+            description: `${label} Iteration ${iter + 1} (ω = ${omega}${symmetric ? ', forward + backward sweep' : ''}): ${stoppingLabel(settings)} = ${error.toExponential(2)}`,
+            highlights: {},
+            errorHistory: [...errors]
+        });
+
+        x = [...xNew];
+
+        if (error < settings.tolerance) {
+            return finishIteration(steps, x, 'converged', '', { omega });
+        }
+        let failure = detectFailure(errors);
+        if (failure) {
+            return finishIteration(steps, x, failure.reason, failure.detail, { omega });
+        }
+    }
+
+    return finishIteration(steps, x, 'max-iterations', '', { omega });
+};
+
+// x_i ← (1 - ω)x_i + ω·(Gauss-Seidel update). ω = 1 is Gauss-Seidel, 1 < ω < 2 over-relaxes.
+export const solveSOR = (matrix, vector, omega = 1.25, settings = {}, onSteps = null) =>
+    relaxationSolve(matrix, vector, omega, settings, false, onSteps);
+
+// Symmetric SOR: a forward SOR sweep followed by a backward sweep in every iteration.
+export const solveSSOR = (matrix, vector, omega = 1.25, settings = {}, onSteps = null) =>
+    relaxationSolve(matrix, vector, omega, settings, true, onSteps);
+
+// --- Spectral analysis helpers ---
+const matMul = (A, B) => A.map(row => B[0].map((_, j) => row.reduce((sum, a, k) => sum + a * B[k][j], 0)));
+const infNorm = (A) => A.reduce((max, row) => Math.max(max, row.reduce((s, a) => s + Math.abs(a), 0)), 0);
+
+/**
+ * Spectral radius ρ(M) via Gelfand's formula ρ(M) = lim ‖M^k‖^(1/k), using k = 2^squarings.
+ * M is renormalized after every squaring so the powers never overflow; works for
+ * complex eigenvalues too, where plain power iteration would not settle.
+ */
+export const spectralRadius = (M, squarings = 40) => {
+    let B = copyMatrix(M);
+    let logScale = 0;
+    let power = 1;
+    for (let j = 0; j < squarings; j++) {
+        let nrm = infNorm(B);
+        if (nrm === 0) return 0;
+        B = B.map(row => row.map(v => v / nrm));
+        logScale += Math.log(nrm);
+        B = matMul(B, B);
+        logScale *= 2;
+        power *= 2;
+    }
+    let nrm = infNorm(B);
+    if (nrm === 0) return 0;
+    return Math.exp((logScale + Math.log(nrm)) / power);
+};
+
+// Jacobi iteration matrix T_J = -D⁻¹(L + U)
+export const jacobiIterationMatrix = (matrix) =>
+    matrix.map((row, i) => row.map((a, j) => (i === j ? 0 : -a / matrix[i][i])));
+
+// Gauss-Seidel iteration matrix T_GS = -(D + L)⁻¹U, built column by column with forward substitution
+export const gaussSeidelIterationMatrix = (matrix) => {
+    let n = matrix.length;
+    let T = zeroMatrix(n);
+    for (let j = 0; j < n; j++) {
+        for (let i = 0; i < n; i++) {
+            let sum = i < j ? -matrix[i][j] : 0; // column j of -U
+            for (let k = 0; k < i; k++) sum -= matrix[i][k] * T[k][j];
+            T[i][j] = sum / matrix[i][i];
+        }
+    }
+    return T;
+};
+
+/**
+ * Row-by-row diagonal dominance: |a_ii| > Σ_{j≠i} |a_ij| (strict) or ≥ (weak).
+ * Returns { rows: [{ row, diagonal, offDiagonal, strict, weak }], strict, weak, violatingRows, weakRows },
+ * where violatingRows are not even weakly dominant and weakRows are dominant only with equality.
+ */
+export const diagonalDominance = (matrix) => {
+    let rows = matrix.map((row, i) => {
+        let diagonal = Math.abs(row[i]);
+        let offDiagonal = row.reduce((sum, a, j) => (j === i ? sum : sum + Math.abs(a)), 0);
+        let tol = PIVOT_TOLERANCE * Math.max(diagonal, offDiagonal);
+        return { row: i, diagonal, offDiagonal, strict: diagonal > offDiagonal + tol, weak: diagonal >= offDiagonal - tol };
+    });
+    return {
+        rows,
+        strict: rows.every(r => r.strict),
+        weak: rows.every(r => r.weak),
+        violatingRows: rows.filter(r => !r.weak).map(r => r.row),
+        weakRows: rows.filter(r => r.weak && !r.strict).map(r => r.row)
+    };
+};
+
+// Iterations until the stopping measure drops below tolerance, assuming it starts at firstStep
+// after the first iteration and shrinks by the factor ρ in every later one
+const predictIterations = (rho, firstStep, tolerance, n) => {
+    if (firstStep < tolerance) return 1;
+    if (rho < 1e-8) return n + 1; // nilpotent T: exact after at most n iterations
+    if (rho >= 1) return null;
+    return 1 + Math.max(1, Math.ceil(Math.log(tolerance / firstStep) / Math.log(rho)));
+};
+
+/**
+ * Convergence pre-analysis for Jacobi and Gauss-Seidel on a square system:
+ * {
+ *   dominance,                          // see diagonalDominance
+ *   zeroDiagonal,                       // index of a zero diagonal entry (iteration undefined) or null
+ *   jacobi: { spectralRadius, converges, iterations },
+ *   seidel: { spectralRadius, converges, iterations }
+ * }
+ * ρ(T) < 1 is necessary and sufficient for convergence from every starting vector; iterations
+ * is the predicted count for the iteration settings (x⁰, tolerance, stopping criterion; null when ρ ≥ 1).
+ */
+export const analyzeConvergence = (matrix, vector, settings = {}) => {
+    settings = withDefaults(settings);
+    let A = matrix.map(row => row.map(parseEntry));
+    let b = vector.map(parseEntry);
+    let dominance = diagonalDominance(A);
+    let zeroIndex = A.findIndex((row, i) => row[i] === 0);
+    if (zeroIndex !== -1) {
+        const undefinedMethod = { spectralRadius: null, converges: false, iterations: null };
+        return { dominance, zeroDiagonal: zeroIndex, jacobi: undefinedMethod, seidel: undefinedMethod };
+    }
+
+    let x0 = initialGuess(settings, A.length).map(parseEntry);
+    const predict = (T, firstIterate) => {
+        let rho = spectralRadius(T);
+        let firstStep = stoppingMeasure(settings, A, b, firstIterate, x0);
+        return { spectralRadius: rho, converges: rho < 1, iterations: predictIterations(rho, firstStep, settings.tolerance, A.length) };
+    };
+
+    // First iterates from x⁰ (Gauss-Seidel uses the updated entries at once)
+    let jacobiFirst = [];
+    let seidelFirst = [...x0];
+    for (let i = 0; i < A.length; i++) {
+        let jacobiSum = b[i];
+        let seidelSum = b[i];
+        for (let j = 0; j < A.length; j++) {
+            if (j === i) continue;
+            jacobiSum -= A[i][j] * x0[j];
+            seidelSum -= A[i][j] * seidelFirst[j];
+        }
+        jacobiFirst.push(jacobiSum / A[i][i]);
+        seidelFirst[i] = seidelSum / A[i][i];
+    }
+
+    return {
+        dominance,
+        zeroDiagonal: null,
+        jacobi: predict(jacobiIterationMatrix(A), jacobiFirst),
+        seidel: predict(gaussSeidelIterationMatrix(A), seidelFirst)
+    };
+};
+
+// One-line summary of the prediction for a method ('jacobi' or 'seidel')
+export const describePrediction = (analysis, methodKey) => {
+    if (analysis.zeroDiagonal !== null) return `A[${analysis.zeroDiagonal}][${analysis.zeroDiagonal}] = 0, so the iteration is undefined`;
+    const { spectralRadius: rho, converges, iterations } = analysis[methodKey];
+    const dominance = analysis.dominance.strict ? 'strictly diagonally dominant'
+        : analysis.dominance.weak ? 'weakly diagonally dominant'
+        : `not diagonally dominant (Row${analysis.dominance.violatingRows.length > 1 ? 's' : ''} ${analysis.dominance.violatingRows.join(', ')})`;
+    return converges
+        ? `ρ = ${rho.toFixed(3)} < 1, predicted to converge in ≈${iterations} iteration${iterations === 1 ? '' : 's'}; A is ${dominance}`
+        : `ρ = ${rho.toFixed(3)} ≥ 1, predicted to diverge; A is ${dominance}`;
+};
+
+// --- PREPROCESSING: Reordering for Diagonal Dominance ---
+
+/**
+ * Assigns every item to a distinct position, where candidates[item] lists the positions it may
+ * take (augmenting-path bipartite matching). Returns order[position] = item, or null if impossible.
+ * The current order is kept whenever it already works.
+ */
+const matchPositions = (candidates) => {
+    let n = candidates.length;
+    if (candidates.every((positions, item) => positions.includes(item))) return [...Array(n).keys()]; // already in place
+    let owner = new Array(n).fill(-1);
+    const tryAssign = (item, visited) => {
+        for (let pos of candidates[item]) {
+            if (visited[pos]) continue;
+            visited[pos] = true;
+            if (owner[pos] === -1 || tryAssign(owner[pos], visited)) {
+                owner[pos] = item;
+                return true;
+            }
+        }
+        return false;
+    };
+    for (let item = 0; item < n; item++) {
+        if (!tryAssign(item, new Array(n).fill(false))) return null;
+    }
+    return owner;
+};
+
+// Positions where each line (a row, or a column of Aᵀ) would be dominant: |a_k| > (strict) or ≥ (weak) Σ_{j≠k} |a_j|
+const dominantPositions = (lines, strict) => lines.map(line => {
+    let total = line.reduce((sum, a) => sum + Math.abs(a), 0);
+    let tol = PIVOT_TOLERANCE * total;
+    return line.map((a, k) => k).filter(k => {
+        let rest = total - Math.abs(line[k]);
+        return strict ? Math.abs(line[k]) > rest + tol : Math.abs(line[k]) >= rest - tol && line[k] !== 0;
+    });
+});
+
+/**
+ * Searches for a permutation that makes A diagonally dominant, preferring strict dominance.
+ * First rows are reordered (equations) for row dominance; with allowColumns, columns are then
+ * reordered (unknowns) for column dominance, which also guarantees Jacobi/Gauss-Seidel convergence.
+ * Returns { rowOrder, columnOrder, strict, by: 'rows' | 'columns' } or null.
+ */
+export const findDominantOrdering = (matrix, { allowColumns = false } = {}) => {
+    let n = matrix.length;
+    let identity = [...Array(n).keys()];
+    let searches = [['rows', matrix]];
+    if (allowColumns) searches.push(['columns', transpose(matrix)]);
+    for (let strict of [true, false]) {
+        for (let [by, lines] of searches) {
+            let order = matchPositions(dominantPositions(lines, strict));
+            if (order) {
+                return by === 'rows'
+                    ? { rowOrder: order, columnOrder: identity, strict, by }
+                    : { rowOrder: identity, columnOrder: order, strict, by };
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Runs an iterative solver on the system reordered for diagonal dominance.
+ * The swaps are recorded as steps before the solver's own steps; x⁰ is permuted like the unknowns,
+ * and xCurrent and the solution are mapped back to the original order.
+ * solve(matrix, vector, settings, onSteps) is the wrapped solver, settings its iteration settings;
+ * with onSteps the swaps are handed on first, then the solver's steps as it records them.
+ */
+export const solveWithDominantOrdering = (solve, matrix, vector, { allowColumns = false, settings = {}, onSteps = null } = {}) => {
+    let n = matrix.length;
+    let A = matrix.map(row => row.map(parseEntry));
+    let b = vector.map(parseEntry);
+    let steps = createStepLog(null, onSteps);
+    let ordering = findDominantOrdering(A, { allowColumns });
+
+    steps.push({
+        matrix: copyMatrix(A),
+        vector: copyVector(b),
+        description: ordering
+            ? `Reordering for ${ordering.strict ? 'strict' : 'weak'} diagonal dominance by ${ordering.by === 'rows' ? 'swapping equations (rows)' : 'swapping unknowns (columns)'}`
+            : `No ${allowColumns ? 'row or column' : 'row'} ordering makes A diagonally dominant; solving in the original order`,
+        highlights: {}
+    });
+
+    let rowOrder = ordering ? ordering.rowOrder : [...Array(n).keys()];
+    let columnOrder = ordering ? ordering.columnOrder : [...Array(n).keys()];
+
+    // Bring row rowOrder[p] to position p with one swap at a time
+    let rows = [...Array(n).keys()];
+    for (let p = 0; p < n; p++) {
+        let q = rows.indexOf(rowOrder[p]);
+        if (q === p) continue;
+        [A[p], A[q]] = [A[q], A[p]];
+        [b[p], b[q]] = [b[q], b[p]];
+        [rows[p], rows[q]] = [rows[q], rows[p]];
+        steps.push({
+            matrix: copyMatrix(A),
+            vector: copyVector(b),
+            description: `Swap R${p} ↔ R${q}: original equation ${rowOrder[p]} has its dominant coefficient in column ${p}`,
+            highlights: { rows: [p, q], cells: [[p, p]] }
+        });
+    }
+
+    // Same for columns; the unknowns move with them
+    let columns = [...Array(n).keys()];
+    for (let p = 0; p < n; p++) {
+        let q = columns.indexOf(columnOrder[p]);
+        if (q === p) continue;
+        A.forEach(row => { [row[p], row[q]] = [row[q], row[p]]; });
+        [columns[p], columns[q]] = [columns[q], columns[p]];
+        steps.push({
+            matrix: copyMatrix(A),
+            vector: copyVector(b),
+            description: `Swap C${p} ↔ C${q} (unknowns x${p + 1} ↔ x${q + 1}): original column ${columnOrder[p]} dominates its column sum at A[${p}][${p}]`,
+            highlights: { cols: [p, q], cells: [[p, p]] }
+        });
+    }
+
+    // x in original order: the unknown at position p is x[columnOrder[p]]
+    const toOriginalOrder = (x) => {
+        let original = new Array(n);
+        columnOrder.forEach((col, p) => { original[col] = x[p]; });
+        return original;
+    };
+
+    let x0 = settings.x0 ? columnOrder.map(col => settings.x0[col]) : null;
+    const inOriginalOrder = (block) => block.map(step => (step.xCurrent ? { ...step, xCurrent: toOriginalOrder(step.xCurrent) } : step));
+    let swapSteps = steps.take();
+    let result = solve(A, b, { ...settings, x0 }, onSteps && (block => onSteps(inOriginalOrder(block))));
+    return {
+        ...result,
+        steps: [...swapSteps, ...inOriginalOrder(result.steps)],
+        solution: result.solution && toOriginalOrder(result.solution),
+        reordering: { found: Boolean(ordering), strict: ordering?.strict ?? false, rowOrder, columnOrder, by: ordering?.by ?? null }
+    };
+};
+
+// Tridiagonal matrices are consistently ordered, the case covered by Young's SOR theorem
+const isTridiagonal = (A) => A.every((row, i) => row.every((a, j) => Math.abs(i - j) <= 1 || a === 0));
+
+// ω values of a sweep unless the caller picks its own
+export const DEFAULT_OMEGA_RANGE = { omegaMin: 0.1, omegaMax: 1.9, omegaStep: 0.1 };
+
+/**
+ * Runs SOR (or SSOR) for every ω in [omegaMin, omegaMax] and records iterations to converge.
+ * Throws when omegaStep is not positive or the range is empty.
+ * Each run becomes one step in the usual iterative format (its full errorHistory), so the
+ * Visualizer can chart any run. For consistently ordered (here: tridiagonal) matrices with
+ * ρ_J < 1 the theoretical optimum ω* = 2 / (1 + √(1 - ρ_J²)) is reported as well.
+ */
+export const sweepSOR = (matrix, vector, { omegaMin = DEFAULT_OMEGA_RANGE.omegaMin, omegaMax = DEFAULT_OMEGA_RANGE.omegaMax, omegaStep = DEFAULT_OMEGA_RANGE.omegaStep, symmetric = false, ...iterationSettings } = {}, onSteps = null) => {
+    if (!(omegaStep > 0)) throw new Error('The ω step of the sweep must be positive');
+    if (!(omegaMax >= omegaMin)) throw new Error('The ω range of the sweep is empty: ω max must be at least ω min');
+    let settings = withDefaults({ maxIter: 200, ...iterationSettings });
+    // One step per ω; the runs themselves keep their steps, whose error histories are read below
+    let steps = createStepLog(null, onSteps);
+    let points = [];
+    let best = null;
+    const label = symmetric ? 'SSOR' : 'SOR';
+    // Last ω not past omegaMax; the slack absorbs round-off such as (1.9 - 0.1) / 0.1 = 17.999...
+    const count = Math.floor((omegaMax - omegaMin) / omegaStep + 1e-9);
+
+    for (let k = 0; k <= count; k++) {
+        let omega = Number((omegaMin + k * omegaStep).toFixed(4));
+        let run = relaxationSolve(matrix, vector, omega, settings, symmetric);
+        let iterations = run.steps.length - 1;
+        let last = run.steps[run.steps.length - 1];
+
+        points.push({ omega, iterations: run.converged ? iterations : settings.maxIter, converged: run.converged, termination: run.termination.reason });
+        steps.push({
+            matrix: matrix,
+            vector: vector,
+            xCurrent: [...run.solution],
+            description: `${label} sweep, ω = ${omega}: ${run.converged ? `converged in ${iterations} iterations` : `no convergence (${TERMINATION_LABELS[run.termination.reason].toLowerCase()} after ${iterations} iterations)`}`,
+            highlights: {},
+            errorHistory: last.errorHistory || [],
+            omega
+        });
+
+        if (run.converged && (!best || iterations < best.iterations)) {
+            best = { omega, iterations, solution: run.solution };
+        }
+    }
+
+    let jacobiSpectralRadius = spectralRadius(jacobiIterationMatrix(matrix));
+    let consistentlyOrdered = isTridiagonal(matrix);
+    let theoreticalOmega = consistentlyOrdered && jacobiSpectralRadius < 1
+        ? 2 / (1 + Math.sqrt(1 - jacobiSpectralRadius * jacobiSpectralRadius))
+        : null;
+
+    steps.push({
+        matrix: matrix,
+        vector: vector,
+        xCurrent: best ? [...best.solution] : steps.last().xCurrent,
+        description: (best
+            ? `Sweep complete: empirical optimum ω = ${best.omega} (${best.iterations} iterations).`
+            : "Sweep complete: no ω value converged.") +
+            (theoreticalOmega !== null
+                ? ` Theoretical ω* = 2/(1+√(1-ρ_J²)) = ${theoreticalOmega.toFixed(4)} with ρ_J = ${jacobiSpectralRadius.toFixed(4)}.`
+                : ` ρ_J = ${jacobiSpectralRadius.toFixed(4)}; no theoretical ω* (matrix is not tridiagonal or ρ_J ≥ 1).`),
+        highlights: {},
+        errorHistory: []
+    });
+
+    return {
+        steps: steps.take(),
+        solution: best ? best.solution : steps.last().xCurrent,
+        converged: !!best,
+        type: 'iterative',
+        sweep: {
+            points,
+            bestOmega: best ? best.omega : null,
+            theoreticalOmega,
+            jacobiSpectralRadius,
+            consistentlyOrdered,
+            symmetric
+        }
+    };
+};
+
+// --- ITERATIVE METHOD: Krylov Subspace Solvers (CG, Preconditioned CG, GMRES) ---
+const dot = (u, v) => u.reduce((sum, val, i) => sum + val * v[i], 0);
+
+// The float64 Krylov methods tally their operations with C.tally in the units of sumProducts:
+// a length-n dot product is n multiplications and n - 1 additions, A·x is n² and n(n - 1).
+// Square roots, stopping tests and values computed only for the step descriptions are not counted.
+
+// Operations of one z = M⁻¹r (see applyPreconditioner)
+const preconditionerOps = (n, preconditioner) => {
+    if (preconditioner === 'jacobi') return [0, n];
+    if (preconditioner === 'ssor') return [n * (n - 1) + n, n * (n - 1) + 8 * n];
+    return [0, 0];
+};
+
+// z = M⁻¹r for the supported preconditioners
+const applyPreconditioner = (matrix, r, preconditioner, omega) => {
+    let n = matrix.length;
+    if (preconditioner === 'jacobi') {
+        return r.map((val, i) => val / matrix[i][i]);
+    }
+    if (preconditioner === 'ssor') {
+        // M = ω/(2-ω) · (D/ω + L)(D/ω)⁻¹(D/ω + U)
+        let y = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+            let sum = r[i];
+            for (let j = 0; j < i; j++) sum -= matrix[i][j] * y[j];
+            y[i] = sum / (matrix[i][i] / omega);
+        }
+        let w = y.map((val, i) => val * matrix[i][i] / omega);
+        let z = new Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            let sum = w[i];
+            for (let j = i + 1; j < n; j++) sum -= matrix[i][j] * z[j];
+            z[i] = sum / (matrix[i][i] / omega);
+        }
+        return z.map(val => val * (2 - omega) / omega);
+    }
+    return [...r];
+};
+
+const PRECONDITIONER_LABELS = { none: 'CG', jacobi: 'Jacobi-PCG', ssor: 'SSOR-PCG' };
+
+/**
+ * Preconditioned Conjugate Gradient for symmetric positive definite A.
+ * preconditioner: 'none' (plain CG), 'jacobi' (M = D) or 'ssor' (with relaxation omega).
+ * Each step carries `krylov` with the residual r, search direction p and the scalars α, β.
+ * Stops when the stopping measure of `settings` drops below its tolerance.
+ */
+export const solvePCG = (matrix, vector, preconditioner = 'jacobi', settings = {}, omega = 1, onSteps = null) => {
+    settings = withDefaults(settings);
+    const C = createCountingArithmetic(floatArithmetic);
+    C.setPhase('setup');
+    let n = matrix.length;
+    let x = initialGuess(settings, n);
+    let r = matVec(matrix, x).map((val, i) => vector[i] - val); // r₀ = b - Ax₀
+    let z = applyPreconditioner(matrix, r, preconditioner, omega);
+    let p = [...z];
+    let rz = dot(r, z);
+    const [precondAddSub, precondMulDiv] = preconditionerOps(n, preconditioner);
+    C.tally(n * n + precondAddSub + n - 1, n * n + precondMulDiv + n);
+    let steps = createStepLog(C, onSteps);
+    let errors = [];
+    const label = PRECONDITIONER_LABELS[preconditioner] || 'CG';
+
+    steps.push({
+        matrix: matrix,
+        vector: vector,
+        xCurrent: [...x],
+        description: `${label}: Initial Guess: ${describeInitialGuess(settings)}, r₀ = b - Ax₀, p₀ = ${preconditioner === 'none' ? 'r₀' : 'M⁻¹r₀'}`,
+        highlights: {},
+        krylov: { vectors: { r: [...r], p: [...p] }, scalars: {} }
+    });
+
+    C.setPhase('iteration');
+    for (let iter = 0; iter < settings.maxIter; iter++) {
+        // x⁰ (or the last iterate) already solves the system exactly
+        if (r.every(val => val === 0)) {
+            return finishIteration(steps, x, 'converged');
+        }
+        let Ap = matVec(matrix, p);
+        let pAp = dot(p, Ap);
+        C.tally(n * n - 1, n * n + n);
+
+        if (!(pAp > 0)) {
+            steps.push({
+                matrix: matrix,
+                vector: vector,
+                xCurrent: [...x],
+                description: `✗ Breakdown at iteration ${iter + 1}: pᵀAp = ${pAp.toExponential(2)} ≤ 0, so A is not positive definite. CG requires an SPD matrix.`,
+                highlights: {},
+                errorHistory: [...errors],
+                krylov: { vectors: { r: [...r], p: [...p] }, scalars: { 'pᵀAp': pAp } }
+            });
+            return finishIteration(steps, x, 'breakdown', 'pᵀAp ≤ 0, A is not positive definite', { breakdown: 'not-positive-definite' });
+        }
+
+        let alpha = rz / pAp;
+        let xPrev = x;
+        x = x.map((val, i) => val + alpha * p[i]);
+        r = r.map((val, i) => val - alpha * Ap[i]);
+        C.tally(2 * n, 2 * n + 1);
+        let error = stoppingMeasure(settings, matrix, vector, x, xPrev);
+        errors.push(error);
+        let converged = error < settings.tolerance;
+
+        let beta = 0;
+        if (!converged) {
+            z = applyPreconditioner(matrix, r, preconditioner, omega);
+            let rzNew = dot(r, z);
+            beta = rzNew / rz;
+            rz = rzNew;
+            p = z.map((val, i) => val + beta * p[i]);
+            C.tally(precondAddSub + 2 * n - 1, precondMulDiv + 2 * n + 1);
+        }
+
+        steps.push({
+            matrix: matrix,
+            vector: vector,
+            xCurrent: [...x],
+            description: `${label} Iteration ${iter + 1}: α = ${alpha.toExponential(3)}, x ← x + αp, r ← r - αAp, ‖r‖₂ = ${norm2(r).toExponential(2)}, ${stoppingLabel(settings)} = ${error.toExponential(2)}` +
+                (!converged ? `, β = ${beta.toExponential(3)}, p ← ${preconditioner === 'none' ? 'r' : 'M⁻¹r'} + βp` : ''),
+            highlights: {},
+            errorHistory: [...errors],
+            krylov: { vectors: { r: [...r], p: [...p] }, scalars: { 'α': alpha, 'β': beta } }
+        });
+
+        if (converged) {
+            return finishIteration(steps, x, 'converged');
+        }
+        let failure = detectFailure(errors);
+        if (failure) {
+            return finishIteration(steps, x, failure.reason, failure.detail);
+        }
+    }
+
+    return finishIteration(steps, x, 'max-iterations');
+};
+
+// Plain Conjugate Gradient (identity preconditioner)
+export const solveCG = (matrix, vector, settings = {}, onSteps = null) =>
+    solvePCG(matrix, vector, 'none', settings, 1, onSteps);
+
+/**
+ * Restarted GMRES(m) for general nonsingular A. Builds an orthonormal Krylov basis with
+ * Arnoldi (modified Gram-Schmidt) and minimizes ‖b - Ax‖₂ over it via Givens rotations
+ * on the Hessenberg matrix; restarts from the current x after `restart` inner iterations.
+ * Each step carries `krylov` with the new basis vector and Hessenberg column. The residual
+ * computed at every restart is counted as setup.
+ */
+export const solveGMRES = (matrix, vector, restart = 10, settings = {}, onSteps = null) => {
+    settings = withDefaults(settings);
+    let n = matrix.length;
+    let m = Math.max(1, Math.min(restart, n));
+    let x = initialGuess(settings, n);
+    const C = createCountingArithmetic(floatArithmetic);
+    let steps = createStepLog(C, onSteps);
+    let errors = [];
+    let totalIter = 0;
+    let cycle = 0;
+
+    steps.push({
+        matrix: matrix,
+        vector: vector,
+        xCurrent: [...x],
+        description: `GMRES(${m}): Initial Guess: ${describeInitialGuess(settings)}, r₀ = b - Ax₀`,
+        highlights: {},
+        krylov: { vectors: { r: matVec(matrix, x).map((val, i) => vector[i] - val) }, scalars: {} }
+    });
+
+    while (totalIter < settings.maxIter) {
+        cycle++;
+        C.setPhase('setup');
+        let Ax = matVec(matrix, x);
+        let r = vector.map((val, i) => val - Ax[i]);
+        let beta = norm2(r);
+        C.tally(n * n + n - 1, n * n + n);
+        // Restart point: only the residual criterion can already be met (no change to measure yet)
+        if (beta === 0 || (settings.criterion === 'residual' && stoppingMeasure(settings, matrix, vector, x, x) < settings.tolerance)) {
+            // The last step predates this residual, so take the totals from the context
+            return finishIteration(steps, x, 'converged', '', { operations: C.snapshot() });
+        }
+
+        let V = [r.map(val => val / beta)];
+        C.tally(0, n);
+        C.setPhase('iteration');
+        let H = Array(m + 1).fill(0).map(() => Array(m).fill(0));
+        let cs = new Array(m).fill(0);
+        let sn = new Array(m).fill(0);
+        let g = new Array(m + 1).fill(0);
+        g[0] = beta;
+        let k = 0;
+
+        for (; k < m && totalIter < settings.maxIter; k++) {
+            totalIter++;
+
+            // Arnoldi step: w = A v_k orthogonalized against v_0..v_k
+            let w = matVec(matrix, V[k]);
+            for (let i = 0; i <= k; i++) {
+                H[i][k] = dot(w, V[i]);
+                w = w.map((val, j) => val - H[i][k] * V[i][j]);
+            }
+            H[k + 1][k] = norm2(w);
+            let hessenbergColumn = H.slice(0, k + 2).map(row => row[k]);
+            V.push(H[k + 1][k] > 0 ? w.map(val => val / H[k + 1][k]) : w);
+            // A·v, k + 1 projections, ‖w‖ and the normalization
+            C.tally(n * n + (k + 1) * (2 * n - 1) - 1, n * n + 2 * n * (k + 1) + n + (H[k + 1][k] > 0 ? n : 0));
+
+            // Apply previous rotations, then a new one to zero H[k+1][k]
+            for (let i = 0; i < k; i++) {
+                let temp = cs[i] * H[i][k] + sn[i] * H[i + 1][k];
+                H[i + 1][k] = -sn[i] * H[i][k] + cs[i] * H[i + 1][k];
+                H[i][k] = temp;
+            }
+            let denom = Math.hypot(H[k][k], H[k + 1][k]);
+            cs[k] = denom === 0 ? 1 : H[k][k] / denom;
+            sn[k] = denom === 0 ? 0 : H[k + 1][k] / denom;
+            // Previous rotations and the new one
+            C.tally(2 * k + 1, 4 * k + 4);
+            if (denom <= PIVOT_TOLERANCE * norm2(hessenbergColumn)) {
+                steps.push({
+                    matrix: matrix,
+                    vector: vector,
+                    xCurrent: steps.last().xCurrent,
+                    description: `✗ GMRES breakdown at iteration ${totalIter}: the Hessenberg matrix is singular, so A is singular on the Krylov subspace and the residual cannot be reduced further.`,
+                    highlights: {},
+                    errorHistory: [...errors],
+                    krylov: { vectors: { [`h:,${k}`]: hessenbergColumn }, scalars: {} }
+                });
+                return finishIteration(steps, steps.last().xCurrent, 'breakdown', 'singular Hessenberg matrix', { breakdown: 'singular' });
+            }
+            H[k][k] = denom;
+            H[k + 1][k] = 0;
+            g[k + 1] = -sn[k] * g[k];
+            g[k] = cs[k] * g[k];
+
+            // Current iterate: x = x₀ + V_k y with R_k y = g_k
+            let y = new Array(k + 1).fill(0);
+            for (let i = k; i >= 0; i--) {
+                let sum = g[i];
+                for (let j = i + 1; j <= k; j++) sum -= H[i][j] * y[j];
+                y[i] = H[i][i] === 0 ? 0 : sum / H[i][i];
+            }
+            let xCurrent = x.map((val, j) => val + y.reduce((sum, yi, i) => sum + yi * V[i][j], 0));
+            // g update, back substitution R y = g and x = x₀ + V y
+            C.tally((k * (k + 1)) / 2 + n * (k + 1), 2 + (k * (k + 1)) / 2 + (k + 1) + n * (k + 1));
+
+            let xPrev = steps.last().xCurrent;
+            let error = stoppingMeasure(settings, matrix, vector, xCurrent, xPrev);
+            errors.push(error);
+            steps.push({
+                matrix: matrix,
+                vector: vector,
+                xCurrent: xCurrent,
+                description: `GMRES cycle ${cycle}, Iteration ${totalIter}: Arnoldi adds v${k + 1} (h${k + 1},${k} = ${hessenbergColumn[k + 1].toExponential(2)}), least-squares residual ‖r‖₂ = ${Math.abs(g[k + 1]).toExponential(2)}, ${stoppingLabel(settings)} = ${error.toExponential(2)}`,
+                highlights: {},
+                errorHistory: [...errors],
+                krylov: { vectors: { [`v${k + 1}`]: [...V[k + 1]], [`h:,${k}`]: hessenbergColumn }, scalars: { 'c': cs[k], 's': sn[k] } }
+            });
+
+            // g[k+1] = 0 also covers a lucky breakdown (h_{k+1,k} = 0): x is then exact
+            if (error < settings.tolerance || g[k + 1] === 0) {
+                return finishIteration(steps, xCurrent, 'converged');
+            }
+            let failure = detectFailure(errors);
+            if (failure) {
+                return finishIteration(steps, xCurrent, failure.reason, failure.detail);
+            }
+        }
+
+        // Restart from the last iterate
+        x = steps.last().xCurrent;
+    }
+
+    return finishIteration(steps, x, 'max-iterations');
+};
+
+// --- DIAGNOSTICS: Residual, Condition Number and Forward-Error Bound ---
+
+// Norms of a vector: { one, two, inf }
+export const vectorNorms = (v) => ({
+    one: v.reduce((sum, val) => sum + Math.abs(val), 0),
+    two: norm2(v),
+    inf: v.reduce((max, val) => Math.max(max, Math.abs(val)), 0)
+});
+
+// LU with partial pivoting, no steps recorded; returns null when A is numerically singular.
+const factorLU = (A) => {
+    let n = A.length;
+    let LU = copyMatrix(A);
+    let perm = [...Array(n).keys()];
+    let tol = PIVOT_TOLERANCE * matrixScale(A);
+    for (let k = 0; k < n; k++) {
+        let p = k;
+        for (let i = k + 1; i < n; i++) {
+            if (Math.abs(LU[i][k]) > Math.abs(LU[p][k])) p = i;
+        }
+        if (Math.abs(LU[p][k]) <= tol) return null;
+        [LU[k], LU[p]] = [LU[p], LU[k]];
+        [perm[k], perm[p]] = [perm[p], perm[k]];
+        for (let i = k + 1; i < n; i++) {
+            LU[i][k] /= LU[k][k];
+            for (let j = k + 1; j < n; j++) LU[i][j] -= LU[i][k] * LU[k][j];
+        }
+    }
+    return { LU, perm };
+};
+
+// Solves Ax = b (or Aᵀx = b when transposed) with the factors PA = LU from factorLU
+const solveFactored = ({ LU, perm }, b, transposed = false) => {
+    let n = LU.length;
+    let x;
+    if (!transposed) {
+        x = perm.map(row => b[row]);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < i; j++) x[i] -= LU[i][j] * x[j];
+        }
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = i + 1; j < n; j++) x[i] -= LU[i][j] * x[j];
+            x[i] /= LU[i][i];
+        }
+        return x;
+    }
+    // Aᵀ = Uᵀ Lᵀ P: solve Uᵀw = b, then Lᵀz = w, then x = Pᵀz
+    let z = [...b];
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < i; j++) z[i] -= LU[j][i] * z[j];
+        z[i] /= LU[i][i];
+    }
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = i + 1; j < n; j++) z[i] -= LU[j][i] * z[j];
+    }
+    x = new Array(n);
+    perm.forEach((row, k) => { x[row] = z[k]; });
+    return x;
+};
+
+/**
+ * Hager's estimate of ‖B‖₁ for B = A⁻¹ (or A⁻ᵀ), using only solves with the LU factors.
+ * It is usually exact and never overestimates.
+ */
+const estimateInverseNorm1 = (factors, transposed) => {
+    let n = factors.LU.length;
+    let x = new Array(n).fill(1 / n);
+    let estimate = 0;
+    for (let iter = 0; iter < 5; iter++) {
+        let y = solveFactored(factors, x, transposed);
+        estimate = vectorNorms(y).one;
+        let z = solveFactored(factors, y.map(val => (val >= 0 ? 1 : -1)), !transposed);
+        let j = z.reduce((best, val, i) => (Math.abs(val) > Math.abs(z[best]) ? i : best), 0);
+        if (Math.abs(z[j]) <= dot(z, x)) break;
+        x = new Array(n).fill(0);
+        x[j] = 1;
+    }
+    return estimate;
+};
+
+/**
+ * Condition number estimates κ₁(A) = ‖A‖₁‖A⁻¹‖₁ and κ∞(A) = ‖A‖∞‖A⁻¹‖∞.
+ * Both are Infinity for a singular matrix and null for a rectangular one.
+ */
+export const estimateCondition = (matrix) => {
+    if (matrix.length !== matrix[0]?.length) return { one: null, inf: null };
+    let factors = factorLU(matrix);
+    if (!factors) return { one: Infinity, inf: Infinity };
+    return {
+        one: infNorm(transpose(matrix)) * estimateInverseNorm1(factors, false),
+        // ‖A⁻¹‖∞ = ‖A⁻ᵀ‖₁
+        inf: infNorm(matrix) * estimateInverseNorm1(factors, true)
+    };
+};
+
+/**
+ * Accuracy report for a computed solution x of Ax = b:
+ * {
+ *   residual,              // r = b - Ax
+ *   residualNorms,         // { one, two, inf }
+ *   condition,             // { one, inf } estimates of κ(A)
+ *   forwardErrorBound      // ‖x - x*‖∞ / ‖x‖∞ ≤ κ∞(A) ‖r‖∞ / ‖b‖∞
+ * }
+ * Returns null when there is no solution to check.
+ */
+export const computeDiagnostics = (matrix, vector, solution) => {
+    if (!solution) return null;
+    let x = solution.map(parseEntry);
+    let residual = matVec(matrix, x).map((val, i) => vector[i] - val);
+    let residualNorms = vectorNorms(residual);
+    let condition = estimateCondition(matrix);
+    let bNorm = vectorNorms(vector).inf;
+    let forwardErrorBound = null;
+    if (condition.inf === Infinity) {
+        forwardErrorBound = Infinity;
+    } else if (condition.inf !== null) {
+        forwardErrorBound = residualNorms.inf === 0 ? 0
+            : bNorm > 0 ? condition.inf * residualNorms.inf / bNorm : Infinity;
+    }
+    return { residual, residualNorms, condition, forwardErrorBound };
+};
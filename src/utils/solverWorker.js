@@ -0,0 +1,162 @@
+// src/utils/solverWorker.js
+import { solveGaussElimination, solveGaussEliminationWithPivoting, solveGaussJordan, solveInverse, solveDeterminant, solveLU, solveCholesky, solveLDLT, solveRREF, solveLeastSquaresQR, solveNormalEquations, solveJacobi, solveGaussSeidel, solveSOR, solveSSOR, sweepSOR, solveCG, solvePCG, solveGMRES, solveWithDominantOrdering, computeDiagnostics, PIVOT_TOLERANCE } from './solverLogic';
+import { compareAllMethods, compareLeastSquares, relativeError } from './compareAlgorithms';
+import { runBenchmark } from './benchmark';
+import { arithmeticForMode, floatArithmetic, parseEntry, ROUNDING_MODES } from './arithmetic';
+import { nameStepVariables, nameVariables } from './equationParser';
+
+/**
+ * Web Worker that runs the solvers off the main thread (started by createSolverClient).
+ *
+ * Main thread → worker:
+ *   { type: 'start', id, job }        job.kind is 'solve', 'compare' or 'benchmark' (see the run*Job functions)
+ *   { type: 'cancel', id }            stop run id
+ * Worker → main thread:
+ *   { type: 'chunk', id, steps }      the next STEP_CHUNK_SIZE steps of a solve, posted as soon as the
+ *                                     solver has recorded them
+ *   { type: 'progress', id, done, total } methods compared / benchmark runs finished so far
+ *   { type: 'result', id, result }    the result; a solve's steps are the chunks sent before it
+ *   { type: 'error', id, message }    a solver threw
+ *   { type: 'cancelled', id, result } acknowledges 'cancel'; result holds a cancelled benchmark's
+ *                                     finished rows, otherwise null
+ * A benchmark yields between runs, so a 'cancel' stops it after the current run. Solves and
+ * comparisons never yield: their 'cancel' is only read once they have finished, which is why the
+ * client terminates the worker when the acknowledgement does not come quickly.
+ */
+
+// Same dispatch as the method selector. job: { method, matrix, vectors, variables, arithmetic,
+// precisionDigits, pivotTolerance, settings, omega, omegaRange, showCofactors, reorder } with matrix/vectors as typed in the grid
+// and omegaRange = { omegaMin, omegaMax, omegaStep } for the ω sweeps.
+// The solver hands its steps to onSteps in blocks as it records them
+const runSolveJob = (job, onSteps) => {
+    const { method, matrix, vectors, variables, settings, omega, omegaRange, showCofactors, reorder } = job;
+    const pivotTolerance = job.pivotTolerance ?? PIVOT_TOLERANCE;
+    const F = arithmeticForMode(job.arithmetic, job.precisionDigits);
+    const exactMode = job.arithmetic === 'exact';
+    const numericMatrix = matrix.map(row => row.map(parseEntry));
+    const numericVectors = vectors.map(v => v.map(parseEntry));
+    // Exact mode hands the raw entries to the rational context so "1/3" stays exact
+    const A = exactMode ? matrix : numericMatrix;
+    // Several right-hand sides are passed as a list of columns [b₁, b₂, ...]
+    const B = exactMode ? vectors : numericVectors;
+    const b = vectors.length > 1 ? B : B[0];
+    // Typed equations: descriptions use the user's variable names from the first block on
+    const emit = variables ? (block) => onSteps(nameStepVariables(block, variables)) : onSteps;
+    let result;
+    if (method === 'gauss') {
+        result = solveGaussElimination(A, b, pivotTolerance, F, emit);
+    } else if (method === 'pivoting') {
+        result = solveGaussEliminationWithPivoting(A, b, pivotTolerance, F, emit);
+    } else if (method === 'gauss-jordan') {
+        result = solveGaussJordan(A, b, pivotTolerance, F, emit);
+    } else if (method === 'inverse') {
+        result = solveInverse(A, pivotTolerance, F, emit);
+    } else if (method === 'determinant') {
+        result = solveDeterminant(A, showCofactors, pivotTolerance, F, emit);
+    } else if (method === 'rref') {
+        result = solveRREF(A, b, pivotTolerance, F, emit);
+    } else if (method === 'qr-householder') {
+        result = solveLeastSquaresQR(A, b, 'householder', pivotTolerance, emit);
+    } else if (method === 'qr-givens') {
+        result = solveLeastSquaresQR(A, b, 'givens', pivotTolerance, emit);
+    } else if (method === 'normal-equations') {
+        result = solveNormalEquations(A, b, pivotTolerance, emit);
+    } else if (method === 'lu-doolittle') {
+        result = solveLU(A, b, 'doolittle', pivotTolerance, F, emit);
+    } else if (method === 'lu-crout') {
+        result = solveLU(A, b, 'crout', pivotTolerance, F, emit);
+    } else if (method === 'cholesky') {
+        result = solveCholesky(A, b, pivotTolerance, emit);
+    } else if (method === 'ldlt') {
+        result = solveLDLT(A, b, pivotTolerance, F, emit);
+    } else if (method === 'jacobi' || method === 'seidel') {
+        const iterate = (M, v, s, emitSteps) => (method === 'jacobi' ? solveJacobi : solveGaussSeidel)(M, v, s, F, emitSteps);
+        result = reorder === 'off'
+            ? iterate(A, b, settings, emit)
+            : solveWithDominantOrdering(iterate, A, b, { allowColumns: reorder === 'rows-columns', settings, onSteps: emit });
+    } else if (method === 'sor') {
+        result = solveSOR(A, b, omega, settings, emit);
+    } else if (method === 'ssor') {
+        result = solveSSOR(A, b, omega, settings, emit);
+    } else if (method === 'cg') {
+        result = solveCG(A, b, settings, emit);
+    } else if (method === 'pcg-jacobi') {
+        result = solvePCG(A, b, 'jacobi', settings, 1, emit);
+    } else if (method === 'pcg-ssor') {
+        result = solvePCG(A, b, 'ssor', settings, omega, emit);
+    } else if (method === 'gmres') {
+        result = solveGMRES(A, b, 10, settings, emit);
+    } else if (method === 'sor-sweep') {
+        result = sweepSOR(A, b, { ...settings, ...omegaRange }, emit);
+    } else if (method === 'ssor-sweep') {
+        result = sweepSOR(A, b, { ...settings, ...omegaRange, symmetric: true }, emit);
+    } else {
+        throw new Error(`Unknown method "${method}"`);
+    }
+
+    result.diagnostics = computeDiagnostics(numericMatrix, numericVectors[0], result.solution);
+    if (result.solutions) {
+        result.columnDiagnostics = result.solutions.map((x, c) => computeDiagnostics(numericMatrix, numericVectors[c], x));
+    }
+
+    // Simulated precision: measure how far round-off moved the answer from the float64 solution
+    if (job.arithmetic in ROUNDING_MODES && matrix.length === matrix[0].length && result.solution) {
+        const reference = solveGaussEliminationWithPivoting(numericMatrix, numericVectors[0]);
+        result.referenceError = relativeError(result.solution, reference.solution);
+    }
+
+    // Typed equations: descriptions and the solution use the user's variable names
+    return variables ? nameVariables(result, variables) : result;
+};
+
+// job: { matrix, vector, arithmetic, precisionDigits, pivotTolerance, settings } with parsed entries.
+// Overdetermined systems compare the least-squares methods instead. The comparison runs in float64
+// or simulated k-digit precision only; `notice` says so when another mode was selected
+const runCompareJob = ({ matrix, vector, arithmetic, precisionDigits, pivotTolerance = PIVOT_TOLERANCE, settings }, onProgress) => {
+    const leastSquares = matrix.length > matrix[0].length;
+    const simulated = !leastSquares && arithmetic in ROUNDING_MODES;
+    const comparison = leastSquares
+        ? compareLeastSquares(matrix, vector, pivotTolerance, onProgress)
+        : compareAllMethods(matrix, vector, simulated ? arithmeticForMode(arithmetic, precisionDigits) : floatArithmetic, settings, pivotTolerance, onProgress);
+    // The per-method step arrays are not shown, so they stay in the worker
+    delete comparison.results;
+    comparison.notice = arithmetic === 'float' || simulated ? null
+        : leastSquares
+            ? `The least-squares comparison always runs in float64, so the ${arithmetic === 'exact' ? 'exact fractions' : 'k-digit precision'} setting was not applied.`
+            : 'Exact fractions are not used by the comparison: every method ran in float64 and is compared against the float64 pivoting solution.';
+    return comparison;
+};
+
+// The benchmark that is running, so a 'cancel' can reach it between runs: { id, controller }
+let benchmark = null;
+
+const runJob = (id, job) => {
+    const onProgress = ({ done, total }) => self.postMessage({ type: 'progress', id, done, total });
+    if (job.kind === 'compare') return runCompareJob(job, onProgress);
+    if (job.kind === 'benchmark') {
+        // job: { config, settings, pivotTolerance } as for runBenchmark; resolves to { config, runs, cancelled }
+        const controller = new AbortController();
+        benchmark = { id, controller };
+        return runBenchmark(job.config, job.settings, job.pivotTolerance ?? PIVOT_TOLERANCE, { onProgress, signal: controller.signal })
+            .finally(() => { benchmark = null; });
+    }
+    // Each block goes out as its own message as soon as the solver hands it on, and is then dropped
+    return runSolveJob(job, (steps) => self.postMessage({ type: 'chunk', id, steps }));
+};
+
+self.onmessage = async ({ data }) => {
+    const { id } = data;
+    if (data.type === 'cancel') {
+        if (benchmark?.id === id) benchmark.controller.abort();
+        // Anything else has already finished; its result is ignored by the client
+        else self.postMessage({ type: 'cancelled', id, result: null });
+        return;
+    }
+    if (data.type !== 'start') return;
+    try {
+        const result = await runJob(id, data.job);
+        self.postMessage(result.cancelled ? { type: 'cancelled', id, result } : { type: 'result', id, result });
+    } catch (err) {
+        self.postMessage({ type: 'error', id, message: err.message });
+    }
+};